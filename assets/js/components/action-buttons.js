@@ -9,6 +9,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const ActionButtons = {
 
         /**
@@ -27,12 +29,20 @@
          * Handle action button click
          */
         handleAction: function ($button) {
+            var self = this;
+
             // Check for confirmation
-            var confirmMsg = $button.data('confirm');
-            if (confirmMsg && !confirm(confirmMsg)) {
-                return;
-            }
+            WPFlyout.dialog.confirmFromData($button).then(function (confirmed) {
+                if (confirmed) {
+                    self.runAction($button);
+                }
+            });
+        },
 
+        /**
+         * Run a confirmed action
+         */
+        runAction: function ($button) {
             var action = $button.data('action');
             if (!action) {
                 console.error('ActionButtons: No action specified');
@@ -49,36 +59,22 @@
 
             // Make REST API request
             var self = this;
-
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: config.manager,
-                    flyout: config.flyout,
-                    action_key: action,
-                    item_id: itemId
-                })
-            })
+            var progress = WPFlyout.commands.progress($button);
+
+            WPFlyout.rest.post('/action', {
+                manager: config.manager,
+                flyout: config.flyout,
+                action_key: action,
+                item_id: itemId
+            }, { onProgress: progress.update })
                 .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Request failed');
-                        }
-                        return json;
-                    });
-                })
-                .then(function (response) {
-                    self.handleResponse(response, $button);
+                    return self.handleResponse(response, $button);
                 })
                 .catch(function (error) {
-                    self.handleError(error.message || 'Connection failed. Please try again.', $button);
+                    self.handleError(error.message || __('Connection failed. Please try again.', 'wp-flyout'), $button);
                 })
                 .finally(function () {
+                    progress.done();
                     self.setButtonState($button, false);
                 });
         },
@@ -91,42 +87,27 @@
             var $body = $flyout.find('.wp-flyout-body');
 
             if (response.success) {
-                var message = response.message || 'Action completed successfully';
-                this.showAlert($flyout, message, 'success');
-                $body.animate({ scrollTop: 0 }, 300);
-
-                if (response.reload === true) {
-                    setTimeout(function () {
-                        location.reload();
-                    }, 1500);
-                } else if (response.refresh_flyout === true) {
-                    setTimeout(function () {
-                        ActionButtons.reloadFlyout($flyout);
-                    }, 1500);
+                // A file is its own confirmation
+                if (response.message || !response.file) {
+                    var message = response.message || __('Action completed successfully', 'wp-flyout');
+                    this.showAlert($flyout, message, 'success');
+                    $body.animate({ scrollTop: 0 }, 300);
                 }
 
-                if (response.updates) {
-                    this.updateUI(response.updates);
-                }
+                var done = WPFlyout.commands.dispatch(response, { flyout: $flyout, source: $button });
 
                 $button.trigger('actionbuttons:success', response);
+
+                // Stay busy until commands such as a download finish
+                return done;
             } else {
-                var errorMsg = response.message || 'An error occurred';
+                var errorMsg = response.message || __('An error occurred', 'wp-flyout');
                 this.showAlert($flyout, errorMsg, 'error');
                 $body.animate({ scrollTop: 0 }, 300);
                 $button.trigger('actionbuttons:error', errorMsg);
             }
         },
 
-        /**
-         * Update specific UI elements
-         */
-        updateUI: function (updates) {
-            Object.keys(updates).forEach(function (selector) {
-                $(selector).html(updates[selector]);
-            });
-        },
-
         /**
          * Handle connection error
          */
@@ -170,23 +151,6 @@
             } else {
                 console[type === 'error' ? 'error' : 'log'](message);
             }
-        },
-
-        /**
-         * Reload flyout content
-         */
-        reloadFlyout: function ($flyout) {
-            var flyoutId = $flyout.attr('id');
-            var $trigger = $('[data-flyout-instance="' + flyoutId + '"]');
-
-            if ($trigger.length) {
-                WPFlyout.close(flyoutId);
-                setTimeout(function () {
-                    $trigger.click();
-                }, 300);
-            } else {
-                location.reload();
-            }
         }
     };
 
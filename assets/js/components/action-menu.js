@@ -9,6 +9,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const ActionMenu = {
 
         init: function () {
@@ -51,11 +53,18 @@
                 return;
             }
 
-            var confirmMsg = $item.data('confirm');
-            if (confirmMsg && !confirm(confirmMsg)) {
-                return;
-            }
+            var self = this;
+
+            WPFlyout.dialog.confirmFromData($item).then(function (confirmed) {
+                if (confirmed) {
+                    self.runAction($item);
+                } else {
+                    self.closeAllMenus();
+                }
+            });
+        },
 
+        runAction: function ($item) {
             var action = $item.data('action');
             if (!action) {
                 this.closeAllMenus();
@@ -70,36 +79,22 @@
             this.setItemState($item, true);
 
             var self = this;
-
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: config.manager,
-                    flyout: config.flyout,
-                    action_key: action,
-                    item_id: itemId
-                })
-            })
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Request failed');
-                        }
-                        return json;
-                    });
-                })
+            var progress = WPFlyout.commands.progress($item);
+
+            WPFlyout.rest.post('/action', {
+                manager: config.manager,
+                flyout: config.flyout,
+                action_key: action,
+                item_id: itemId
+            }, { onProgress: progress.update })
                 .then(function (response) {
-                    self.handleResponse(response, $item);
+                    return self.handleResponse(response, $item);
                 })
                 .catch(function (error) {
-                    self.handleError(error.message || 'Connection failed. Please try again.', $item);
+                    self.handleError(error.message || __('Connection failed. Please try again.', 'wp-flyout'), $item);
                 })
                 .finally(function () {
+                    progress.done();
                     self.setItemState($item, false);
                     self.closeAllMenus();
                 });
@@ -110,23 +105,21 @@
             var $body = $flyout.find('.wp-flyout-body');
 
             if (response.success) {
-                var message = response.message || 'Action completed successfully';
-                this.showAlert($flyout, message, 'success');
-                $body.animate({ scrollTop: 0 }, 300);
-
-                if (response.reload === true) {
-                    setTimeout(function () {
-                        location.reload();
-                    }, 1500);
+                // A file is its own confirmation
+                if (response.message || !response.file) {
+                    var message = response.message || __('Action completed successfully', 'wp-flyout');
+                    this.showAlert($flyout, message, 'success');
+                    $body.animate({ scrollTop: 0 }, 300);
                 }
 
-                if (response.updates) {
-                    this.updateUI(response.updates);
-                }
+                var done = WPFlyout.commands.dispatch(response, { flyout: $flyout, source: $item });
 
                 $item.trigger('actionmenu:success', response);
+
+                // Stay busy until commands such as a download finish
+                return done;
             } else {
-                var errorMsg = response.message || 'An error occurred';
+                var errorMsg = response.message || __('An error occurred', 'wp-flyout');
                 this.showAlert($flyout, errorMsg, 'error');
                 $body.animate({ scrollTop: 0 }, 300);
                 $item.trigger('actionmenu:error', errorMsg);
@@ -160,12 +153,6 @@
             }
         },
 
-        updateUI: function (updates) {
-            Object.keys(updates).forEach(function (selector) {
-                $(selector).html(updates[selector]);
-            });
-        },
-
         showAlert: function ($flyout, message, type) {
             if (window.WPFlyoutAlert) {
                 WPFlyoutAlert.show(message, type, {
@@ -14,6 +14,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const AjaxSelect = {
 
         init: function () {
@@ -23,9 +25,47 @@
                 self.initAll(document);
             });
 
-            $(document).on('wpflyout:opened', function (e, data) {
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
                 self.initAll(data.element);
             });
+
+            // Refresh labels when a child flyout saves a selected record
+            $(document).on('wpflyout:child-saved', '.wp-flyout', function (e, data) {
+                var itemId = data.response && data.response.item_id;
+                if (!itemId) {
+                    return;
+                }
+
+                $(this).find('.wp-flyout-ajax-select').each(function () {
+                    var values = [].concat($(this).val() || []).map(String);
+                    if (values.indexOf(String(itemId)) !== -1) {
+                        self.refresh($(this));
+                    }
+                });
+            });
+        },
+
+        /**
+         * Translated Select2 messages
+         */
+        getLanguage: function () {
+            return {
+                errorLoading: function () {
+                    return __('The results could not be loaded.', 'wp-flyout');
+                },
+                loadingMore: function () {
+                    return __('Loading more results...', 'wp-flyout');
+                },
+                noResults: function () {
+                    return __('No results found', 'wp-flyout');
+                },
+                searching: function () {
+                    return __('Searching...', 'wp-flyout');
+                },
+                removeAllItems: function () {
+                    return __('Remove all items', 'wp-flyout');
+                }
+            };
         },
 
         initAll: function (container) {
@@ -46,7 +86,7 @@
 
             var ajaxUrl = $select.data('ajax-url') || '';
             var ajaxParams = $select.data('ajax-params') || {};
-            var placeholder = $select.data('placeholder') || 'Type to search...';
+            var placeholder = $select.data('placeholder') || __('Type to search...', 'wp-flyout');
             var tags = $select.data('tags') === true || $select.data('tags') === 'true';
 
             if (!ajaxUrl) {
@@ -58,16 +98,13 @@
                 placeholder: placeholder,
                 allowClear: true,
                 width: '100%',
+                language: this.getLanguage(),
                 tags: tags,
                 minimumInputLength: 0,
                 ajax: {
                     url: ajaxUrl,
-                    type: 'GET',
-                    dataType: 'json',
                     delay: 250,
-                    headers: {
-                        'X-WP-Nonce': wpFlyout.restNonce
-                    },
+                    transport: this.transport,
                     data: function (params) {
                         var data = $.extend({}, ajaxParams, {
                             term: params.term || ''
@@ -86,8 +123,7 @@
                             };
                         }
                         return { results: [] };
-                    },
-                    cache: true
+                    }
                 }
             };
 
@@ -113,7 +149,7 @@
             $options.each(function () {
                 var text = $.trim($(this).text());
                 var val = $(this).val();
-                if (val && (text === 'Loading...' || text === '' || text === val)) {
+                if (val && (text === 'Loading...' || text === __('Loading...', 'wp-flyout') || text === '' || text === val)) {
                     needsHydration.push(val);
                 }
             });
@@ -122,32 +158,66 @@
                 return;
             }
 
+            this.fetchLabels($select, ajaxUrl, ajaxParams, needsHydration);
+        },
+
+        /**
+         * Re-fetch labels for all selected values
+         */
+        refresh: function ($select) {
+            var values = [].concat($select.val() || []).filter(Boolean);
+            if (!values.length) {
+                return;
+            }
+
+            this.fetchLabels($select, $select.data('ajax-url') || '', $select.data('ajax-params') || {}, values);
+        },
+
+        fetchLabels: function ($select, ajaxUrl, ajaxParams, ids) {
             // Build hydration URL with params
             var params = $.extend({}, ajaxParams, {
-                include: needsHydration.join(',')
+                include: ids.join(',')
             });
 
-            $.ajax({
-                url: ajaxUrl,
-                type: 'GET',
-                dataType: 'json',
-                data: params,
-                headers: {
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                success: function (response) {
-                    if (response.success && Array.isArray(response.results)) {
-                        response.results.forEach(function (item) {
-                            var id = String(item.id || item.value);
-                            var $option = $select.find('option[value="' + id + '"]');
-                            if ($option.length) {
-                                $option.text(item.text);
-                            }
-                        });
-                        $select.trigger('change.select2');
-                    }
+            WPFlyout.rest.get(ajaxUrl, params).then(function (response) {
+                if (response.success && Array.isArray(response.results)) {
+                    response.results.forEach(function (item) {
+                        var id = String(item.id || item.value);
+                        var $option = $select.find('option[value="' + id + '"]');
+                        if ($option.length) {
+                            $option.text(item.text);
+                        }
+                    });
+                    $select.trigger('change.select2');
+                }
+            }).catch($.noop);
+        },
+
+        /**
+         * Select2 transport that searches through WPFlyout.rest
+         *
+         * Select2 aborts the previous search when the term changes, which
+         * cancels its request.
+         *
+         * @param {Object}   params  Select2 request options (url, data)
+         * @param {Function} success Called with the decoded JSON
+         * @param {Function} failure Called when the search fails
+         * @return {{abort: Function}}
+         */
+        transport: function (params, success, failure) {
+            var controller = new AbortController();
+
+            WPFlyout.rest.get(params.url, params.data, { signal: controller.signal }).then(success, function (error) {
+                if (error.code !== 'flyout_aborted') {
+                    failure();
                 }
             });
+
+            return {
+                abort: function () {
+                    controller.abort();
+                }
+            };
         },
 
         setValue: function ($select, value, text) {
@@ -33,8 +33,13 @@
             // Currency change — update the prefix symbol
             $(document).on('change', '.discount-config-currency select', this.handleCurrencyChange);
 
+            // Percentages always take two decimals, fixed amounts follow the currency
+            $(document).on('change', '.discount-config-type-select', function () {
+                DiscountConfig.syncDecimals($(this).closest('.wp-flyout-discount-config'), $(this).val());
+            });
+
             // Re-initialize on flyout open
-            $(document).on('wpflyout:opened', function () {
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function () {
                 $('.wp-flyout-discount-config').each(function () {
                     DiscountConfig.syncState($(this));
                 });
@@ -62,6 +67,8 @@
                 $config.find('.discount-config-currency').show();
             }
 
+            DiscountConfig.syncDecimals($config, rateType);
+
             // Clear and refocus amount
             $config.find('.discount-config-amount-input').val('').focus();
 
@@ -103,7 +110,28 @@
             const $config = $select.closest('.wp-flyout-discount-config');
             const currency = $select.val();
 
-            $config.find('.discount-config-unit-prefix').text(currency);
+            $config.attr('data-currency', currency);
+            $config.find('.discount-config-amount-input').attr('data-money', currency);
+            $config.find('.discount-config-unit-prefix').text(WPFlyout.Money.getSymbol(currency));
+        },
+
+        /**
+         * Switch the amount input between percentage and currency decimals
+         *
+         * @param {jQuery} $config  Config container
+         * @param {string} rateType 'percent' or 'fixed'
+         */
+        syncDecimals: function ($config, rateType) {
+            const $input = $config.find('.discount-config-amount-input');
+            const value = WPFlyout.Money.parse($input.val());
+
+            if (rateType === 'percent') {
+                $input.attr('data-decimals', 2);
+            } else {
+                $input.removeAttr('data-decimals');
+            }
+
+            WPFlyout.Money.localizeInput($input, value);
         },
 
         /**
@@ -11,6 +11,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const FeatureList = {
 
         /**
@@ -50,13 +52,16 @@
             });
 
             // Re-initialize on flyout open
-            $(document).on('wpflyout:opened', function (e, data) {
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
                 FeatureList.initSortable();
                 FeatureList.initializeComponents();
             });
 
             // Clean up empty rows before form submission
             $(document).on('submit', 'form', this.cleanupEmptyRows.bind(this));
+
+            // Rebuild rows to match a restored draft
+            $(document).on('wpflyout:draft-restore', 'form', this.handleDraftRestore.bind(this));
         },
 
         /**
@@ -105,7 +110,7 @@
             const name = $component.data('name');
             const sortable = $component.data('sortable') === true || $component.data('sortable') === 'true';
             const icon = $component.data('icon');
-            const placeholder = $component.data('placeholder') || 'Enter item';
+            const placeholder = $component.data('placeholder') || __('Enter item', 'wp-flyout');
 
             const html = this.getItemTemplate(name, index, '', sortable, icon, placeholder);
             const $newItem = $(html);
@@ -133,6 +138,45 @@
             });
         },
 
+        /**
+         * Rebuild items so a restored draft has an input for every value
+         */
+        handleDraftRestore: function (e, data) {
+            $(e.currentTarget).find('.wp-flyout-feature-list').each(function () {
+                const $component = $(this);
+                const values = WPFlyoutManager.getDataValue(data, $component.data('name'));
+
+                if (Array.isArray(values)) {
+                    FeatureList.setItemCount($component, values.length);
+                }
+            });
+        },
+
+        /**
+         * Add or remove empty items until the list has the given count
+         */
+        setItemCount: function ($component, count) {
+            const $items = $component.find('.feature-list-items');
+            const name = $component.data('name');
+            const sortable = $component.data('sortable') === true || $component.data('sortable') === 'true';
+            const icon = $component.data('icon');
+            const placeholder = $component.data('placeholder') || __('Enter item', 'wp-flyout');
+
+            $items.find('.feature-list-item').slice(count).remove();
+
+            for (let index = $items.find('.feature-list-item').length; index < count; index++) {
+                $items.append(this.getItemTemplate(name, index, '', sortable, icon, placeholder));
+            }
+
+            if ($items.hasClass('ui-sortable')) {
+                $items.sortable('refresh');
+            }
+
+            this.updateIndexes($component);
+            this.updateEmptyState($component);
+            this.updateAddButton($component);
+        },
+
         /**
          * Handle remove button click
          */
@@ -144,14 +188,21 @@
 
             // Confirm if item has content
             const value = $item.find('.feature-list-input').val();
+            const confirmed = value
+                ? WPFlyout.dialog.confirm({ message: __('Remove this item?', 'wp-flyout'), confirmText: __('Remove', 'wp-flyout'), context: $component })
+                : Promise.resolve(true);
 
-            if (value) {
-                if (!confirm('Remove this item?')) {
-                    return;
+            confirmed.then(function (ok) {
+                if (ok) {
+                    FeatureList.removeItem($item, $component);
                 }
-            }
+            });
+        },
 
-            // Animate removal
+        /**
+         * Remove an item with animation
+         */
+        removeItem: function ($item, $component) {
             $item.fadeOut(200, function () {
                 $item.remove();
                 FeatureList.updateIndexes($component);
@@ -247,7 +298,7 @@
 
             if (sortable) {
                 html += `
-                    <span class="feature-list-handle" title="Drag to reorder">
+                    <span class="feature-list-handle" title="${__('Drag to reorder', 'wp-flyout')}">
                         <span class="dashicons dashicons-menu"></span>
                     </span>`;
             }
@@ -268,7 +319,7 @@
                 
                 <button type="button"
                         class="feature-list-remove"
-                        title="Remove">
+                        title="${__('Remove', 'wp-flyout')}">
                     <span class="dashicons dashicons-trash"></span>
                 </button>
             </div>`;
@@ -10,6 +10,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     window.WPFlyoutFileManager = {
 
         init: function () {
@@ -22,7 +24,8 @@
             $(document).on('click', '.file-manager-item [data-action="browse"]', this.handleBrowse.bind(this));
             $(document).on('click', '.file-manager-item [data-action="remove"]', this.handleRemove.bind(this));
             $(document).on('file-manager:update', '.wp-flyout-file-manager', this.updateUI.bind(this));
-            $(document).on('wpflyout:opened flyout:ready', this.initSortable.bind(this));
+            $(document).on('wpflyout:opened wpflyout:content-loaded flyout:ready', this.initSortable.bind(this));
+            $(document).on('wpflyout:draft-restore', 'form', this.handleDraftRestore.bind(this));
         },
 
         initSortable: function () {
@@ -92,8 +95,8 @@
             var $manager = $item.closest('.wp-flyout-file-manager');
 
             var frame = wp.media({
-                title: 'Select File',
-                button: { text: 'Select' },
+                title: __('Select File', 'wp-flyout'),
+                button: { text: __('Select', 'wp-flyout') },
                 multiple: false
             });
 
@@ -123,6 +126,46 @@
             });
         },
 
+        /**
+         * Rebuild items so a restored draft has inputs for every file
+         */
+        handleDraftRestore: function (e, data) {
+            var self = this;
+
+            $(e.currentTarget).find('.wp-flyout-file-manager').each(function () {
+                var $manager = $(this);
+                var files = WPFlyoutManager.getDataValue(data, $manager.data('name'));
+
+                if (Array.isArray(files)) {
+                    self.setItemCount($manager, files.length);
+                }
+            });
+        },
+
+        /**
+         * Add or remove empty items until the manager has the given count
+         */
+        setItemCount: function ($manager, count) {
+            var $items = $manager.find('.file-manager-items');
+
+            $items.find('.file-manager-item').slice(count).remove();
+
+            for (var index = $items.find('.file-manager-item').length; index < count; index++) {
+                $items.append(this.createItem($manager, index, {
+                    name: '',
+                    url: '',
+                    attachment_id: '',
+                    lookup_key: ''
+                }));
+            }
+
+            if ($items.hasClass('ui-sortable')) {
+                $items.sortable('refresh');
+            }
+
+            $manager.trigger('file-manager:update');
+        },
+
         // ------------------------------------------------------------------
         // DOM Creation
         // ------------------------------------------------------------------
@@ -139,7 +182,7 @@
             // Drag handle
             if (sortable) {
                 $item.append(
-                    $('<span>', { 'class': 'file-handle', title: 'Drag to reorder' }).append(
+                    $('<span>', { 'class': 'file-handle', title: __('Drag to reorder', 'wp-flyout') }).append(
                         $('<span>', { 'class': 'dashicons dashicons-menu' })
                     )
                 );
@@ -153,7 +196,7 @@
                     type: 'text',
                     name: fieldName + '[' + index + '][name]',
                     value: data.name,
-                    placeholder: 'File name',
+                    placeholder: __('File name', 'wp-flyout'),
                     'class': 'file-name-input'
                 }),
                 $('<input>', {
@@ -187,14 +230,14 @@
                     type: 'button',
                     'class': 'file-action-btn',
                     'data-action': 'browse',
-                    title: 'Browse media library'
+                    title: __('Browse media library', 'wp-flyout')
                 }).append($('<span>', { 'class': 'dashicons dashicons-admin-media' })),
 
                 $('<button>', {
                     type: 'button',
                     'class': 'file-action-btn file-remove',
                     'data-action': 'remove',
-                    title: 'Remove file'
+                    title: __('Remove file', 'wp-flyout')
                 }).append($('<span>', { 'class': 'dashicons dashicons-trash' }))
             );
 
@@ -6,6 +6,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     window.WPFlyoutImageGallery = {
 
         init: function () {
@@ -27,7 +29,7 @@
             $(document).on('image-gallery:update', '.wp-flyout-image-gallery', this.updateUI.bind(this));
 
             // Re-initialize sortable when flyout opens
-            $(document).on('wpflyout:opened flyout:ready', this.initSortable.bind(this));
+            $(document).on('wpflyout:opened wpflyout:content-loaded flyout:ready', this.initSortable.bind(this));
         },
 
         initSortable: function () {
@@ -89,9 +91,9 @@
 
             // Create media frame
             const frame = wp.media({
-                title: isEdit ? 'Replace Image' : 'Select Images',
+                title: isEdit ? __('Replace Image', 'wp-flyout') : __('Select Images', 'wp-flyout'),
                 button: {
-                    text: isEdit ? 'Replace' : 'Add to Gallery'
+                    text: isEdit ? __('Replace', 'wp-flyout') : __('Add to Gallery', 'wp-flyout')
                 },
                 library: {
                     type: 'image'
@@ -157,10 +159,10 @@
             html += '<div class="gallery-item-preview">' +
                 '<img src="' + thumbnail + '" alt="' + (attachment.alt || '') + '" class="gallery-thumbnail">' +
                 '<div class="gallery-item-overlay">' +
-                '<button type="button" class="gallery-item-edit" data-action="edit" title="Change image">' +
+                '<button type="button" class="gallery-item-edit" data-action="edit" title="' + __('Change image', 'wp-flyout') + '">' +
                 '<span class="dashicons dashicons-edit"></span>' +
                 '</button>' +
-                '<button type="button" class="gallery-item-remove" data-action="remove" title="Remove image">' +
+                '<button type="button" class="gallery-item-remove" data-action="remove" title="' + __('Remove image', 'wp-flyout') + '">' +
                 '<span class="dashicons dashicons-trash"></span>' +
                 '</button>' +
                 '</div>' +
@@ -11,6 +11,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     window.WPFlyoutImagePicker = {
 
         init: function () {
@@ -56,9 +58,9 @@
 
             if (!frame) {
                 frame = wp.media({
-                    title: 'Select Image',
+                    title: __('Select Image', 'wp-flyout'),
                     button: {
-                        text: 'Use This Image'
+                        text: __('Use This Image', 'wp-flyout')
                     },
                     library: {
                         type: 'image'
@@ -112,7 +114,7 @@
             var $overlay = $picker.find('.image-picker-overlay');
             if (!$overlay.find('[data-action="remove-image"]').length) {
                 $overlay.append(
-                    '<button type="button" class="image-picker-btn image-picker-remove" data-action="remove-image" title="Remove image">' +
+                    '<button type="button" class="image-picker-btn image-picker-remove" data-action="remove-image" title="' + __('Remove image', 'wp-flyout') + '">' +
                     '<span class="dashicons dashicons-trash"></span>' +
                     '</button>'
                 );
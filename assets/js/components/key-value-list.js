@@ -11,6 +11,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const MetaKeyValue = {
 
         /**
@@ -53,13 +55,16 @@
             });
 
             // Re-initialize on flyout open
-            $(document).on('wpflyout:opened', function (e, data) {
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
                 MetaKeyValue.initSortable();
                 MetaKeyValue.initializeComponents();
             });
 
             // Clean up empty rows before form submission
             $(document).on('submit', 'form', this.cleanupEmptyRows.bind(this));
+
+            // Rebuild rows to match a restored draft
+            $(document).on('wpflyout:draft-restore', 'form', this.handleDraftRestore.bind(this));
         },
 
         /**
@@ -103,8 +108,8 @@
             // Get configuration from data attributes
             const name = $component.data('name');
             const sortable = $component.data('sortable') === true || $component.data('sortable') === 'true';
-            const keyPlaceholder = $component.data('key-placeholder') || 'Enter key';
-            const valPlaceholder = $component.data('val-placeholder') || 'Enter value';
+            const keyPlaceholder = $component.data('key-placeholder') || __('Enter key', 'wp-flyout');
+            const valPlaceholder = $component.data('val-placeholder') || __('Enter value', 'wp-flyout');
             const requiredKey = $component.data('required-key') === true || $component.data('required-key') === 'true';
 
             const html = this.getRowTemplate(name, index, '', '', sortable, keyPlaceholder, valPlaceholder, requiredKey);
@@ -132,6 +137,46 @@
             });
         },
 
+        /**
+         * Rebuild rows so a restored draft has inputs for every pair
+         */
+        handleDraftRestore: function (e, data) {
+            $(e.currentTarget).find('.wp-flyout-meta-key-value').each(function () {
+                const $component = $(this);
+                const rows = WPFlyoutManager.getDataValue(data, $component.data('name'));
+
+                if (Array.isArray(rows)) {
+                    MetaKeyValue.setRowCount($component, rows.length);
+                }
+            });
+        },
+
+        /**
+         * Add or remove empty rows until the list has the given count
+         */
+        setRowCount: function ($component, count) {
+            const $items = $component.find('.meta-kv-items');
+            const name = $component.data('name');
+            const sortable = $component.data('sortable') === true || $component.data('sortable') === 'true';
+            const keyPlaceholder = $component.data('key-placeholder') || __('Enter key', 'wp-flyout');
+            const valPlaceholder = $component.data('val-placeholder') || __('Enter value', 'wp-flyout');
+            const requiredKey = $component.data('required-key') === true || $component.data('required-key') === 'true';
+
+            $items.find('.meta-kv-item').slice(count).remove();
+
+            for (let index = $items.find('.meta-kv-item').length; index < count; index++) {
+                $items.append(this.getRowTemplate(name, index, '', '', sortable, keyPlaceholder, valPlaceholder, requiredKey));
+            }
+
+            if ($items.hasClass('ui-sortable')) {
+                $items.sortable('refresh');
+            }
+
+            this.reindexItems($component);
+            this.updateEmptyState($component);
+            this.updateAddButton($component);
+        },
+
         /**
          * Handle remove button click
          */
@@ -144,14 +189,21 @@
             // Confirm if row has data
             const key = $row.find('.meta-kv-key').val();
             const value = $row.find('.meta-kv-value').val();
+            const confirmed = key || value
+                ? WPFlyout.dialog.confirm({ message: __('Remove this item?', 'wp-flyout'), confirmText: __('Remove', 'wp-flyout'), context: $component })
+                : Promise.resolve(true);
 
-            if (key || value) {
-                if (!confirm('Remove this item?')) {
-                    return;
+            confirmed.then(function (ok) {
+                if (ok) {
+                    MetaKeyValue.removeRow($row, $component);
                 }
-            }
+            });
+        },
 
-            // Animate removal
+        /**
+         * Remove a row with animation
+         */
+        removeRow: function ($row, $component) {
             $row.fadeOut(200, function () {
                 $row.remove();
                 MetaKeyValue.reindexItems($component);
@@ -200,7 +252,7 @@
 
                 if (isDuplicate) {
                     $input.addClass('error');
-                    alert('This key already exists');
+                    WPFlyout.dialog.alert({ message: __('This key already exists', 'wp-flyout'), context: $component });
                     return false;
                 }
             }
@@ -290,7 +342,7 @@
 
             if (sortable) {
                 html += `
-                    <span class="meta-kv-handle" title="Drag to reorder">
+                    <span class="meta-kv-handle" title="${__('Drag to reorder', 'wp-flyout')}">
                         <span class="dashicons dashicons-menu"></span>
                     </span>`;
             }
@@ -315,7 +367,7 @@
                 
                 <button type="button"
                         class="meta-kv-remove"
-                        title="Remove">
+                        title="${__('Remove', 'wp-flyout')}">
                     <span class="dashicons dashicons-trash"></span>
                 </button>
             </div>`;
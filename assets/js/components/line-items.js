@@ -9,6 +9,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const LineItems = {
 
         init: function () {
@@ -24,7 +26,7 @@
                 .on('change', '.wp-flyout-line-items [data-action="update-quantity"]', function (e) {
                     self.handleQuantityChange(e);
                 })
-                .on('wpflyout:opened', function (e, data) {
+                .on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
                     self.initComponent($(data.element));
                 });
 
@@ -69,7 +71,7 @@
             var itemId = $select.val();
 
             if (!itemId) {
-                alert('Please select a product first');
+                WPFlyout.dialog.alert({ message: __('Please select a product first', 'wp-flyout'), context: $component });
                 return;
             }
 
@@ -93,44 +95,30 @@
             var $button = $component.find('[data-action="add-item"]');
             var originalHtml = $button.html();
 
-            $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Loading...');
+            $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> ' + __('Loading...', 'wp-flyout'));
 
             var manager = $component.data('manager');
             var flyout = $component.data('flyout');
             var detailsKey = $component.data('details-key');
 
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: manager,
-                    flyout: flyout,
-                    action_key: detailsKey,
-                    item_id: String(itemId)
-                })
+            WPFlyout.rest.post('/action', {
+                manager: manager,
+                flyout: flyout,
+                action_key: detailsKey,
+                item_id: String(itemId)
             })
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Request failed');
-                        }
-                        return json;
-                    });
-                })
                 .then(function (response) {
                     if (response.success && response.product) {
                         self.addItemToTable($component, response.product);
                         self.clearSelect($component.find('.product-ajax-select'));
+
+                        WPFlyout.commands.dispatch(response, { source: $component });
                     } else {
-                        alert(response.message || 'Product details not found');
+                        WPFlyout.dialog.alert({ message: response.message || __('Product details not found', 'wp-flyout'), context: $component });
                     }
                 })
                 .catch(function (error) {
-                    alert(error.message || 'Error loading product details');
+                    WPFlyout.dialog.alert({ message: error.message || __('Error loading product details', 'wp-flyout'), context: $component });
                 })
                 .finally(function () {
                     $button.prop('disabled', false).html(originalHtml);
@@ -144,10 +132,10 @@
             if (!$tbody.length) {
                 var showQty = $component.data('show-quantity') !== '0' && $component.data('show-quantity') !== false;
                 var tableHtml = '<table><thead><tr>' +
-                    '<th class="column-item">Item</th>' +
-                    (showQty ? '<th class="column-quantity">Qty</th>' : '') +
-                    '<th class="column-price">Price</th>' +
-                    (showQty ? '<th class="column-total">Total</th>' : '') +
+                    '<th class="column-item">' + __('Item', 'wp-flyout') + '</th>' +
+                    (showQty ? '<th class="column-quantity">' + __('Qty', 'wp-flyout') + '</th>' : '') +
+                    '<th class="column-price">' + __('Price', 'wp-flyout') + '</th>' +
+                    (showQty ? '<th class="column-total">' + __('Total', 'wp-flyout') + '</th>' : '') +
                     '<th class="column-actions"></th>' +
                     '</tr></thead><tbody class="line-items-list"></tbody></table>';
                 $component.find('.line-items-table').html(tableHtml);
@@ -163,10 +151,7 @@
             var index = $tbody.find('.line-item').length;
             var price = parseInt(product.price) || 0;
             var currency = $component.data('currency') || 'USD';
-            var formatter = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: currency
-            });
+            var formatted = WPFlyout.Money.format(price, currency);
 
             var thumbnailHtml = product.thumbnail ?
                 '<img src="' + this.escapeHtml(product.thumbnail) + '" alt="' +
@@ -179,8 +164,8 @@
                 .replace(/{{item_id}}/g, product.id || '')
                 .replace(/{{name}}/g, this.escapeHtml(product.name || ''))
                 .replace(/{{price}}/g, price)
-                .replace(/{{price_formatted}}/g, formatter.format(price / 100))
-                .replace(/{{total_formatted}}/g, formatter.format(price / 100))
+                .replace(/{{price_formatted}}/g, formatted)
+                .replace(/{{total_formatted}}/g, formatted)
                 .replace(/{{thumbnail}}/g, this.escapeHtml(product.thumbnail || ''))
                 .replace(/{{thumbnail_html}}/g, thumbnailHtml);
 
@@ -210,7 +195,7 @@
                 if ($tbody.find('.line-item').length === 0) {
                     var emptyHtml = '<div class="line-items-empty">' +
                         '<span class="dashicons dashicons-cart"></span>' +
-                        '<p>No items added yet.</p></div>';
+                        '<p>' + __('No items added yet.', 'wp-flyout') + '</p></div>';
                     $component.find('.line-items-table').html(emptyHtml);
                 }
 
@@ -237,12 +222,10 @@
 
             var $component = $row.closest('.wp-flyout-line-items');
             var currency = $component.data('currency') || 'USD';
-            var formatter = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: currency
-            });
 
-            $row.find('.item-total').text(formatter.format(total / 100));
+            $row.find('.item-total')
+                .text(WPFlyout.Money.format(total, currency))
+                .attr('data-money-amount', total);
         },
 
         recalculateTotals: function ($component) {
@@ -256,14 +239,11 @@
             });
 
             var currency = $component.data('currency') || 'USD';
-            var formatter = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: currency
-            });
 
             $component.find('.total-amount')
-                .text(formatter.format(total / 100))
-                .attr('data-value', total);
+                .text(WPFlyout.Money.format(total, currency))
+                .attr('data-value', total)
+                .attr('data-money-amount', total);
         },
 
         findExistingItem: function ($component, itemId) {
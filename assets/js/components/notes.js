@@ -9,6 +9,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const Notes = {
 
         /**
@@ -62,32 +64,16 @@
             var objectId = $flyout.find('input[name="id"]').val();
             var addAction = $component.data('add-action') || 'add';
 
-            $button.prop('disabled', true).text('Adding...');
-
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: config.manager,
-                    flyout: config.flyout,
-                    action_key: addAction,
-                    item_id: objectId,
-                    content: content,
-                    object_type: objectType
-                })
+            $button.prop('disabled', true).text(__('Adding...', 'wp-flyout'));
+
+            WPFlyout.rest.post('/action', {
+                manager: config.manager,
+                flyout: config.flyout,
+                action_key: addAction,
+                item_id: objectId,
+                content: content,
+                object_type: objectType
             })
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Failed to add note');
-                        }
-                        return json;
-                    });
-                })
                 .then(function (response) {
                     if (response.success && response.note) {
                         var noteHtml = Notes.createNoteHtml(response.note);
@@ -96,15 +82,17 @@
                         $list.find('.no-notes').remove();
                         $list.prepend(noteHtml);
                         $textarea.val('').focus();
+
+                        WPFlyout.commands.dispatch(response, { flyout: $flyout, source: $component });
                     } else {
-                        alert(response.message || 'Failed to add note');
+                        WPFlyout.dialog.alert({ message: response.message || __('Failed to add note', 'wp-flyout'), context: $component });
                     }
                 })
                 .catch(function (error) {
-                    alert(error.message || 'Error adding note');
+                    WPFlyout.dialog.alert({ message: error.message || __('Error adding note', 'wp-flyout'), context: $component });
                 })
                 .finally(function () {
-                    $button.prop('disabled', false).text('Add Note');
+                    $button.prop('disabled', false).text(__('Add Note', 'wp-flyout'));
                 });
         },
 
@@ -114,11 +102,25 @@
         handleDelete: function (e) {
             e.preventDefault();
 
-            if (!confirm('Delete this note?')) {
-                return;
-            }
-
+            var self = this;
             var $button = $(e.currentTarget);
+
+            WPFlyout.dialog.confirm({
+                message: __('Delete this note?', 'wp-flyout'),
+                confirmText: __('Delete', 'wp-flyout'),
+                destructive: true,
+                context: $button
+            }).then(function (confirmed) {
+                if (confirmed) {
+                    self.deleteNote($button);
+                }
+            });
+        },
+
+        /**
+         * Delete a note via REST /action
+         */
+        deleteNote: function ($button) {
             var $note = $button.closest('.note-item');
             var $component = $button.closest('.wp-flyout-notes');
             var $flyout = $component.closest('.wp-flyout');
@@ -131,30 +133,14 @@
 
             $button.prop('disabled', true);
 
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: config.manager,
-                    flyout: config.flyout,
-                    action_key: deleteAction,
-                    item_id: objectId,
-                    note_id: noteId,
-                    object_type: objectType
-                })
+            WPFlyout.rest.post('/action', {
+                manager: config.manager,
+                flyout: config.flyout,
+                action_key: deleteAction,
+                item_id: objectId,
+                note_id: noteId,
+                object_type: objectType
             })
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Failed to delete note');
-                        }
-                        return json;
-                    });
-                })
                 .then(function (response) {
                     if (response.success) {
                         $note.slideUp(200, function () {
@@ -162,15 +148,17 @@
 
                             var $list = $component.find('.notes-list');
                             if ($list.find('.note-item').length === 0) {
-                                $list.html('<p class="no-notes">No notes yet.</p>');
+                                $list.html($('<p class="no-notes"></p>').text(__('No notes yet.', 'wp-flyout')));
                             }
                         });
+
+                        WPFlyout.commands.dispatch(response, { flyout: $flyout, source: $component });
                     } else {
-                        alert(response.message || 'Failed to delete note');
+                        WPFlyout.dialog.alert({ message: response.message || __('Failed to delete note', 'wp-flyout'), context: $component });
                     }
                 })
                 .catch(function (error) {
-                    alert(error.message || 'Error deleting note');
+                    WPFlyout.dialog.alert({ message: error.message || __('Error deleting note', 'wp-flyout'), context: $component });
                 })
                 .finally(function () {
                     $button.prop('disabled', false);
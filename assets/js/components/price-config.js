@@ -38,6 +38,20 @@
         }
     });
 
+    // Re-read amounts in the new currency's decimal places (JPY 0, KWD 3)
+    $(document).on('change', '.price-config-currency select', function () {
+        const $component = $(this).closest('.wp-flyout-price-config');
+        const currency = $(this).val();
+
+        $component.find(WPFlyout.Money.inputSelector).each(function () {
+            const $input = $(this);
+            const value = WPFlyout.Money.parse($input.val());
+
+            $input.attr('data-money', currency);
+            WPFlyout.Money.localizeInput($input, value);
+        });
+    });
+
     $(document).on('change', '.price-config-preset-select', function () {
         const $component = $(this).closest('.wp-flyout-price-config');
         const $customRow = $component.find('.price-config-interval-row');
@@ -9,6 +9,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     const RefundForm = {
 
         init: function () {
@@ -49,11 +51,10 @@
             var $form = $(this).closest('.wp-flyout-refund-form');
             var $submit = $form.find('.refund-submit');
             var template = $submit.data('template');
-            var amount = parseFloat($(this).val()) || 0;
             var currency = $form.data('currency') || 'USD';
+            var amount = WPFlyout.Money.parseToMinor($(this).val(), currency) || 0;
 
-            var formatted = amount.toFixed(2);
-            $submit.find('.button-text').text(template.replace('%s', currency + ' ' + formatted));
+            $submit.find('.button-text').text(template.replace('%s', WPFlyout.Money.format(amount, currency)));
         },
 
         /**
@@ -82,22 +83,20 @@
             var $flyout = $form.closest('.wp-flyout');
             var config = $flyout.data() || {};
 
-            var refundable = parseFloat($form.data('refundable')) || 0;
-            var amountInput = parseFloat($form.find('.refund-amount-input').val()) || 0;
             var currency = $form.data('currency') || 'USD';
 
-            // Convert display amount to cents
-            var amountCents = Math.round(amountInput * 100);
+            // Convert the localized display amount to the smallest unit
+            var amountCents = WPFlyout.Money.parseToMinor($form.find('.refund-amount-input').val(), currency) || 0;
             var refundableCents = parseInt($form.data('refundable'), 10) || 0;
 
             // Validate amount
             if (amountCents <= 0) {
-                this.showAlert($flyout, 'Please enter a refund amount.', 'error');
+                this.showAlert($flyout, __('Please enter a refund amount.', 'wp-flyout'), 'error');
                 return;
             }
 
             if (amountCents > refundableCents) {
-                this.showAlert($flyout, 'Amount exceeds the refundable balance.', 'error');
+                this.showAlert($flyout, __('Amount exceeds the refundable balance.', 'wp-flyout'), 'error');
                 return;
             }
 
@@ -118,37 +117,21 @@
 
             var self = this;
 
-            fetch(wpFlyout.restUrl + '/action', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    manager: config.manager,
-                    flyout: config.flyout,
-                    action_key: $form.data('action'),
-                    item_id: itemId,
-                    amount: amountCents,
-                    currency: currency,
-                    reason: reason,
-                    custom_reason: customReason
-                })
+            WPFlyout.rest.post('/action', {
+                manager: config.manager,
+                flyout: config.flyout,
+                action_key: $form.data('action'),
+                item_id: itemId,
+                amount: amountCents,
+                currency: currency,
+                reason: reason,
+                custom_reason: customReason
             })
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Request failed');
-                        }
-                        return json;
-                    });
-                })
                 .then(function (response) {
                     self.handleResponse(response, $form, $flyout);
                 })
                 .catch(function (error) {
-                    self.showAlert($flyout, error.message || 'Connection failed. Please try again.', 'error');
+                    self.showAlert($flyout, error.message || __('Connection failed. Please try again.', 'wp-flyout'), 'error');
                 })
                 .finally(function () {
                     self.setLoading($button, false);
@@ -162,24 +145,16 @@
             var $body = $flyout.find('.wp-flyout-body');
 
             if (response.success) {
-                var message = response.message || 'Refund processed successfully.';
+                var message = response.message || __('Refund processed successfully.', 'wp-flyout');
                 this.showAlert($flyout, message, 'success');
                 $body.animate({scrollTop: 0}, 300);
 
                 // Close the panel
                 $form.find('.refund-panel').slideUp(150);
 
-                if (response.reload === true) {
-                    setTimeout(function () {
-                        location.reload();
-                    }, 1500);
-                } else if (response.refresh_flyout === true) {
-                    setTimeout(function () {
-                        RefundForm.reloadFlyout($flyout);
-                    }, 1500);
-                }
+                WPFlyout.commands.dispatch(response, { flyout: $flyout, source: $form });
             } else {
-                var errorMsg = response.message || 'Refund failed.';
+                var errorMsg = response.message || __('Refund failed.', 'wp-flyout');
                 this.showAlert($flyout, errorMsg, 'error');
                 $body.animate({scrollTop: 0}, 300);
             }
@@ -215,23 +190,6 @@
             } else {
                 console[type === 'error' ? 'error' : 'log'](message);
             }
-        },
-
-        /**
-         * Reload flyout content
-         */
-        reloadFlyout: function ($flyout) {
-            var flyoutId = $flyout.attr('id');
-            var $trigger = $('[data-flyout-instance="' + flyoutId + '"]');
-
-            if ($trigger.length) {
-                WPFlyout.close(flyoutId);
-                setTimeout(function () {
-                    $trigger.click();
-                }, 300);
-            } else {
-                location.reload();
-            }
         }
     };
 
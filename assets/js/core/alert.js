@@ -10,6 +10,8 @@
 (function ($) {
     'use strict';
 
+    const { __ } = wp.i18n;
+
     /**
      * Alert Component Handler
      */
@@ -84,7 +86,7 @@
                             <div class="alert-message">${message}</div>
                         </div>
                         ${dismissible ? `
-                            <button type="button" class="alert-dismiss" data-action="dismiss-alert">
+                            <button type="button" class="alert-dismiss" data-action="dismiss-alert" aria-label="${__('Dismiss', 'wp-flyout')}">
                                 <span class="dashicons dashicons-no-alt"></span>
                             </button>
                         ` : ''}
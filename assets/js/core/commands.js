@@ -0,0 +1,409 @@
+/**
+ * Action Commands Core JavaScript
+ *
+ * Runs the commands an /action response returns, for every component that
+ * calls /action. Commands run in order; each may return a Promise, and the
+ * next waits for it.
+ *
+ *   { "success": true, "commands": [
+ *       { "type": "set_field", "name": "status", "value": "sent" },
+ *       { "type": "replace_component", "name": "order_notes", "html": "..." }
+ *   ] }
+ *
+ * Built-in types: set_field, replace_component, alert, open_flyout, close,
+ * download, trigger, refresh and reload. Register more with register().
+ * Any command may carry a delay in milliseconds. A file response from
+ * /action runs as a download.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __, sprintf } = wp.i18n;
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.commands = {
+
+        /**
+         * Command handlers keyed by type
+         *
+         * @type {Object<string, Function>}
+         */
+        handlers: {},
+
+        /**
+         * Size in bytes from which downloads show progress on their button
+         */
+        progressThreshold: 1048576,
+
+        /**
+         * Add or replace a command handler
+         *
+         * @param {string}   type    Command type
+         * @param {Function} handler Receives (command, context); may return a Promise
+         */
+        register: function (type, handler) {
+            this.handlers[type] = handler;
+        },
+
+        /**
+         * Run the commands of an /action response
+         *
+         * @param {Object|Array}   response /action response, or a list of commands
+         * @param {Object}         context  { flyout, source }: the flyout and the clicked element
+         * @return {Promise<void>}
+         */
+        dispatch: function (response, context) {
+            var commands = Array.isArray(response) ? response : this.fromResponse(response);
+            var self = this;
+
+            context = this.createContext(context || {});
+
+            return commands.reduce(function (chain, command) {
+                return chain.then(function () {
+                    return self.run(command, context);
+                });
+            }, Promise.resolve());
+        },
+
+        /**
+         * Run one command
+         *
+         * An unknown type or a failing handler is reported in the flyout,
+         * and the remaining commands still run.
+         *
+         * @param {Object} command Command
+         * @param {Object} context Context from createContext
+         * @return {Promise<void>}
+         */
+        run: function (command, context) {
+            var self = this;
+            var handler = command && this.handlers[command.type];
+
+            if (!handler) {
+                /* translators: %s: command type */
+                this.report(context, sprintf(__('Unknown action command "%s".', 'wp-flyout'), command && command.type));
+                return Promise.resolve();
+            }
+
+            var wait = command.delay > 0 ? new Promise(function (resolve) {
+                setTimeout(resolve, command.delay);
+            }) : Promise.resolve();
+
+            return wait
+                .then(function () {
+                    return handler.call(self, command, context);
+                })
+                .catch(function (error) {
+                    // Cancelled on purpose; nothing went wrong
+                    if (error && (error.code === 'flyout_aborted' || (error.code === 'flyout_vetoed' && !error.message))) {
+                        return;
+                    }
+
+                    self.report(context, (error && error.message) || __('The action could not be completed.', 'wp-flyout'));
+                });
+        },
+
+        /**
+         * Show a failed command in the flyout
+         *
+         * @param {Object} context Context from createContext
+         * @param {string} message Error text
+         */
+        report: function (context, message) {
+            WPFlyoutManager.showAlert(context.$flyout, message, 'error');
+        },
+
+        /**
+         * Commands of a response, including those implied by the older keys
+         *
+         * reload and refresh_flyout wait 1.5 seconds so the message can be
+         * read; updates is a map of selectors to HTML. A file response
+         * becomes a download, ahead of everything else.
+         *
+         * @param {Object} response /action response
+         * @return {Array}
+         */
+        fromResponse: function (response) {
+            var commands = Array.isArray(response.commands) ? response.commands.slice() : [];
+
+            if (response.file) {
+                commands.unshift({ type: 'download', file: response.file });
+            }
+
+            if (response.updates) {
+                Object.keys(response.updates).forEach(function (selector) {
+                    commands.push({ type: 'html', selector: selector, html: response.updates[selector] });
+                });
+            }
+
+            if (response.reload === true) {
+                commands.push({ type: 'reload', delay: 1500 });
+            } else if (response.refresh_flyout === true) {
+                commands.push({ type: 'refresh', delay: 1500 });
+            }
+
+            return commands;
+        },
+
+        /**
+         * Resolve the flyout a command list acts on
+         *
+         * @param {Object} context { flyout, source }
+         * @return {{$flyout: jQuery, $source: jQuery, config: Object}}
+         */
+        createContext: function (context) {
+            var $source = $(context.source || []);
+            var $flyout = context.flyout ? $(context.flyout) : $source.closest('.wp-flyout');
+
+            return {
+                $flyout: $flyout,
+                $source: $source,
+                config: $flyout.data() || {}
+            };
+        },
+
+        /**
+         * Progress bar on the element that started a download
+         *
+         * Appears once the file is known to pass progressThreshold, so
+         * small files don't flash a bar.
+         *
+         * @param {jQuery} $source Button or menu item
+         * @return {{update: Function, done: Function}} update(loaded, total) as the file arrives, done() when finished
+         */
+        progress: function ($source) {
+            var threshold = this.progressThreshold;
+            var $bar = null;
+
+            return {
+                update: function (loaded, total) {
+                    if (!$source || !$source.length || Math.max(loaded, total) < threshold) return;
+
+                    if (!$bar) {
+                        $bar = $('<span class="wp-flyout-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"><span class="wp-flyout-progress-bar"></span></span>')
+                            .attr('aria-label', __('Download progress', 'wp-flyout'))
+                            .appendTo($source);
+
+                        $source.addClass('has-progress');
+                    }
+
+                    // Without a Content-Length only the amount so far is known
+                    if (total > 0) {
+                        var percent = Math.min(100, Math.round(loaded / total * 100));
+
+                        $bar.removeClass('is-indeterminate').attr('aria-valuenow', percent).removeAttr('aria-valuetext');
+                        $bar.children().css('width', percent + '%');
+                    } else {
+                        /* translators: %s: megabytes downloaded so far */
+                        $bar.addClass('is-indeterminate').removeAttr('aria-valuenow')
+                            .attr('aria-valuetext', sprintf(__('%s MB', 'wp-flyout'), (loaded / 1048576).toFixed(1)));
+                    }
+                },
+
+                done: function () {
+                    if ($bar) {
+                        $bar.remove();
+                        $source.removeClass('has-progress');
+                    }
+                }
+            };
+        },
+
+        /**
+         * Save a file held in memory
+         *
+         * @param {Blob}   blob     File contents
+         * @param {string} filename File name
+         */
+        saveFile: function (blob, filename) {
+            var url = URL.createObjectURL(blob);
+
+            this.openLink(url, filename);
+
+            // Some browsers read the blob after click() returns
+            setTimeout(function () {
+                URL.revokeObjectURL(url);
+            }, 60000);
+        },
+
+        /**
+         * Hand a URL to the browser as a download
+         *
+         * @param {string} url      File or object URL
+         * @param {string} filename Suggested file name
+         */
+        openLink: function (url, filename) {
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename || '';
+            link.rel = 'noopener';
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        }
+    };
+
+    var commands = WPFlyout.commands;
+
+    /**
+     * Set a form field by name
+     *
+     * { name, value }; value is a list for checkboxes and multi-selects.
+     */
+    commands.register('set_field', function (command, context) {
+        var $matches = context.$flyout.find('input, select, textarea').filter(function () {
+            return this.name === command.name || this.name === command.name + '[]';
+        });
+
+        if ($matches.length) {
+            WPFlyoutManager.setControlValue($matches, command.value);
+        }
+    });
+
+    /**
+     * Swap a rendered field for new markup
+     *
+     * { name, html }; the server renders html when the callback leaves it out.
+     * The flyout stays clean if it was, as the markup shows the saved record.
+     */
+    commands.register('replace_component', function (command, context) {
+        var $flyout = context.$flyout;
+        var $current = $flyout.find('[data-flyout-field="' + command.name + '"]').first();
+
+        if (!$current.length || !command.html) return;
+
+        var wasDirty = WPFlyoutManager.isDirty($flyout);
+        var $parent = $current.parent();
+        var $next = $($.parseHTML($.trim(command.html), document, true));
+
+        WPFlyoutManager.recordFieldSources($next);
+        $current.replaceWith($next);
+
+        if (!wasDirty) {
+            WPFlyoutManager.markClean($flyout);
+        }
+
+        $(document).trigger('wpflyout:content-loaded', {
+            id: $flyout.attr('id'),
+            element: $parent[0],
+            flyout: $flyout[0]
+        });
+    });
+
+    /**
+     * Show a notice in the flyout
+     *
+     * { message, level }; level is success (default), error, warning or info.
+     */
+    commands.register('alert', function (command, context) {
+        WPFlyoutManager.showAlert(context.$flyout, command.message, command.level || 'success');
+        context.$flyout.find('.wp-flyout-body').animate({ scrollTop: 0 }, 300);
+    });
+
+    /**
+     * Open another flyout on top of this one
+     *
+     * { flyout, item_id, manager, tab, title, subtitle }
+     */
+    commands.register('open_flyout', function (command, context) {
+        var data = {};
+
+        if (command.title) data.title = command.title;
+        if (command.subtitle) data.subtitle = command.subtitle;
+
+        return WPFlyoutManager.open(command.manager || context.config.manager, command.flyout, command.item_id, {
+            data: data,
+            tab: command.tab,
+            parent: context.$flyout.closest('body').length ? context.$flyout.attr('id') : null,
+            returnFocus: context.$source[0]
+        });
+    });
+
+    /**
+     * Close the flyout; unsaved changes still prompt first
+     */
+    commands.register('close', function (command, context) {
+        if (context.$flyout.length) {
+            WPFlyout.close(context.$flyout.attr('id'));
+        }
+    });
+
+    /**
+     * Download a file
+     *
+     * { url, filename, stream } or { file } for a file the /action response
+     * carried. Same-origin URLs, and others with stream set, are fetched
+     * with progress on the source element; the rest go to the browser.
+     */
+    commands.register('download', function (command, context) {
+        if (command.file) {
+            commands.saveFile(command.file.blob, command.filename || command.file.filename);
+            return;
+        }
+
+        if (!command.url) return;
+
+        if (!command.stream && !WPFlyout.rest.isSameOrigin(command.url)) {
+            commands.openLink(command.url, command.filename);
+            return;
+        }
+
+        var progress = commands.progress(context.$source);
+
+        return WPFlyout.rest.download(command.url, { onProgress: progress.update })
+            .then(function (file) {
+                var fallback = decodeURIComponent(new URL(command.url, window.location.href).pathname.split('/').pop());
+
+                commands.saveFile(file.blob, command.filename || file.filename || fallback);
+            }, function (error) {
+                WPFlyoutManager.showAlert(context.$flyout, error.message, 'error');
+            })
+            .finally(progress.done);
+    });
+
+    /**
+     * Trigger a jQuery event on the flyout, bubbling to document
+     *
+     * { event, data }; handlers receive (e, data, context).
+     */
+    commands.register('trigger', function (command, context) {
+        var $target = context.$flyout.closest('body').length ? context.$flyout : $(document);
+
+        $target.trigger(command.event, [command.data || {}, context]);
+    });
+
+    /**
+     * Load the flyout's record again in place, keeping tab and scroll position
+     */
+    commands.register('refresh', function (command, context) {
+        if (!context.$flyout.closest('body').length) return;
+
+        return WPFlyoutManager.refresh(context.$flyout.attr('id'));
+    });
+
+    /**
+     * Reload the page
+     */
+    commands.register('reload', function () {
+        WPFlyoutManager.reloadPage();
+    });
+
+    /**
+     * Replace the contents of elements anywhere on the page
+     *
+     * { selector, html }; backs the older updates response key.
+     */
+    commands.register('html', function (command) {
+        $(command.selector).html(command.html);
+    });
+
+})(jQuery);
@@ -65,6 +65,11 @@
                 self.initializeFlyout($(data.element));
             });
 
+            // Lazy tabs can add fields that depend on, or are depended on by, the rest of the flyout
+            $(document).on('wpflyout:content-loaded', function (e, data) {
+                self.initializeFlyout($(data.flyout));
+            });
+
             // Initial evaluation
             this.evaluateAll();
         },
@@ -0,0 +1,297 @@
+/**
+ * Dialog Core JavaScript
+ *
+ * Promise-based replacements for alert(), confirm() and prompt() that render
+ * inside the active flyout instead of blocking the page.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __ } = wp.i18n;
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.dialog = {
+
+        /**
+         * Running count for unique element IDs
+         *
+         * @type {number}
+         */
+        counter: 0,
+
+        /**
+         * Show a message with a single OK button
+         *
+         * @param {string|Object} options Message, or options (see open)
+         * @return {Promise<void>}
+         */
+        alert: function (options) {
+            return this.open($.extend({ type: 'alert' }, this.normalize(options))).then($.noop);
+        },
+
+        /**
+         * Ask for confirmation
+         *
+         * @param {string|Object} options Message, or options (see open)
+         * @return {Promise<boolean>} Resolves true when confirmed
+         */
+        confirm: function (options) {
+            return this.open($.extend({ type: 'confirm' }, this.normalize(options))).then(function (result) {
+                return result === true;
+            });
+        },
+
+        /**
+         * Ask for a text value
+         *
+         * @param {string|Object} options Message, or options (see open)
+         * @return {Promise<string|null>} Resolves with the value, or null when cancelled
+         */
+        prompt: function (options) {
+            return this.open($.extend({ type: 'prompt' }, this.normalize(options))).then(function (result) {
+                return result === false ? null : result;
+            });
+        },
+
+        /**
+         * Confirm using an element's data-confirm attributes
+         *
+         * Reads data-confirm (message), data-confirm-title, data-confirm-button,
+         * data-confirm-type (text to type before confirming) and
+         * data-confirm-destructive. Resolves true when there is nothing to confirm.
+         *
+         * @param {jQuery} $el Element with data-confirm
+         * @return {Promise<boolean>}
+         */
+        confirmFromData: function ($el) {
+            const message = $el.data('confirm');
+
+            if (!message) {
+                return Promise.resolve(true);
+            }
+
+            const destructive = $el.data('confirm-destructive');
+
+            return this.confirm({
+                message: message,
+                title: $el.data('confirm-title') || '',
+                confirmText: $el.data('confirm-button') || '',
+                typeToConfirm: $el.data('confirm-type') ? String($el.data('confirm-type')) : '',
+                destructive: destructive === true || destructive === 'true' || destructive === 1,
+                context: $el
+            });
+        },
+
+        /**
+         * Normalize a message string to an options object
+         *
+         * @param {string|Object} options Message or options
+         * @return {Object}
+         */
+        normalize: function (options) {
+            return typeof options === 'object' && options !== null ? options : { message: String(options || '') };
+        },
+
+        /**
+         * Render a dialog and resolve when it is answered
+         *
+         * Options:
+         * - type          'alert', 'confirm' or 'prompt'
+         * - title         Heading text
+         * - message       Body text
+         * - content       Extra element shown below the message
+         * - confirmText   Confirm button label (default OK)
+         * - cancelText    Cancel button label (default Cancel)
+         * - destructive   Style the confirm button as dangerous and focus Cancel
+         * - typeToConfirm Text the user must type before confirming
+         * - defaultValue  Initial prompt value
+         * - placeholder   Prompt placeholder
+         * - context       Element whose flyout hosts the dialog (default: top flyout)
+         *
+         * @param {Object} options Dialog options
+         * @return {Promise<boolean|string>} true/false, or the prompt value
+         */
+        open: function (options) {
+            const self = this;
+            const id = 'wp-flyout-dialog-' + (++this.counter);
+            const type = options.type || 'alert';
+            const hasInput = type === 'prompt' || !!options.typeToConfirm;
+            const $host = this.getHost(options.context);
+            const returnFocus = document.activeElement;
+
+            const $backdrop = $('<div class="wp-flyout-dialog-backdrop"></div>')
+                .toggleClass('is-global', !$host.hasClass('wp-flyout'));
+
+            const $dialog = $('<div class="wp-flyout-dialog" tabindex="-1"></div>').attr({
+                id: id,
+                role: type === 'alert' ? 'alertdialog' : 'dialog',
+                'aria-modal': 'true',
+                'aria-describedby': id + '-message'
+            }).toggleClass('is-destructive', !!options.destructive);
+
+            if (options.title) {
+                $dialog.attr('aria-labelledby', id + '-title');
+                $('<h2 class="wp-flyout-dialog-title"></h2>')
+                    .attr('id', id + '-title')
+                    .text(options.title)
+                    .appendTo($dialog);
+            }
+
+            $('<p class="wp-flyout-dialog-message"></p>')
+                .attr('id', id + '-message')
+                .text(options.message || '')
+                .appendTo($dialog);
+
+            if (options.content) {
+                $('<div class="wp-flyout-dialog-content"></div>').append(options.content).appendTo($dialog);
+            }
+
+            let $input = $();
+
+            if (hasInput) {
+                const $label = $('<label class="wp-flyout-dialog-label"></label>').attr('for', id + '-input');
+
+                if (options.typeToConfirm) {
+                    /* translators: %s: text the user must type */
+                    const parts = __('Type %s to confirm.', 'wp-flyout').split('%s');
+
+                    $label.append(document.createTextNode(parts[0]))
+                        .append($('<strong></strong>').text(options.typeToConfirm))
+                        .append(document.createTextNode(parts[1] || ''));
+                }
+
+                $input = $('<input type="text" class="wp-flyout-dialog-input widefat" autocomplete="off">').attr({
+                    id: id + '-input',
+                    placeholder: options.placeholder || ''
+                }).val(type === 'prompt' ? (options.defaultValue || '') : '');
+
+                $dialog.append(options.typeToConfirm ? $label : '', $input);
+            }
+
+            const $actions = $('<div class="wp-flyout-dialog-actions"></div>').appendTo($dialog);
+            let $cancel = $();
+
+            if (type !== 'alert') {
+                $cancel = $('<button type="button" class="button" data-dialog="cancel"></button>')
+                    .text(options.cancelText || __('Cancel', 'wp-flyout'))
+                    .appendTo($actions);
+            }
+
+            const $confirm = $('<button type="button" class="button" data-dialog="confirm"></button>')
+                .addClass(options.destructive ? 'button-destructive' : 'button-primary')
+                .text(options.confirmText || __('OK', 'wp-flyout'))
+                .appendTo($actions);
+
+            // Type-to-confirm keeps the confirm button disabled until the text matches
+            if (options.typeToConfirm) {
+                $confirm.prop('disabled', true);
+                $input.on('input', function () {
+                    $confirm.prop('disabled', $input.val().trim() !== options.typeToConfirm);
+                });
+            }
+
+            $backdrop.append($dialog).appendTo($host);
+
+            return new Promise(function (resolve) {
+                const finish = function (result) {
+                    $backdrop.remove();
+
+                    if (returnFocus && document.contains(returnFocus)) {
+                        returnFocus.focus();
+                    }
+
+                    resolve(result);
+                };
+
+                const accept = function () {
+                    if ($confirm.prop('disabled')) {
+                        return;
+                    }
+                    finish(type === 'prompt' ? $input.val() : true);
+                };
+
+                $confirm.on('click', accept);
+                $cancel.on('click', function () {
+                    finish(false);
+                });
+
+                $dialog.on('keydown', function (e) {
+                    // Keep keys away from the flyout's own Escape/Tab handling
+                    e.stopPropagation();
+
+                    if (e.key === 'Escape') {
+                        e.preventDefault();
+                        finish(type === 'alert' ? true : false);
+                    } else if (e.key === 'Enter' && $(e.target).is($input)) {
+                        e.preventDefault();
+                        accept();
+                    } else if (e.key === 'Tab') {
+                        self.trapFocus(e, $dialog);
+                    }
+                });
+
+                // Destructive dialogs start on Cancel so Enter doesn't confirm by accident
+                if (hasInput) {
+                    $input.trigger('focus').trigger('select');
+                } else if (options.destructive && $cancel.length) {
+                    $cancel.trigger('focus');
+                } else {
+                    $confirm.trigger('focus');
+                }
+            });
+        },
+
+        /**
+         * Find where to render: the context's flyout, the top flyout, or the page
+         *
+         * @param {jQuery|HTMLElement} context Element inside a flyout
+         * @return {jQuery}
+         */
+        getHost: function (context) {
+            const $flyout = context ? $(context).closest('.wp-flyout') : $();
+
+            if ($flyout.length) {
+                return $flyout;
+            }
+
+            const topId = WPFlyout.getLastId ? WPFlyout.getLastId() : null;
+            const $top = topId ? $('#' + topId) : $();
+
+            return $top.length ? $top : $('body');
+        },
+
+        /**
+         * Keep Tab / Shift+Tab inside the dialog
+         *
+         * @param {Event}  e       Keydown event
+         * @param {jQuery} $dialog Dialog element
+         * @return {void}
+         */
+        trapFocus: function (e, $dialog) {
+            const $focusable = $dialog.find('button, input').filter(':visible:enabled');
+
+            if (!$focusable.length) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = $focusable[0];
+            const last = $focusable[$focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    };
+
+})(jQuery);
@@ -29,8 +29,8 @@
                 }
             });
 
-            // Initialize on flyout open
-            $(document).on('wpflyout:opened', function (e, data) {
+            // Initialize on flyout open and when a lazy tab loads
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
                 $(data.element).find('.wp-flyout-color-input').each(function () {
                     const $input = $(this);
                     const $preview = $input.siblings('.wp-flyout-color-preview');
@@ -0,0 +1,214 @@
+/**
+ * Hooks Core JavaScript
+ *
+ * Filters and actions for the flyout lifecycle. Callbacks may return
+ * Promises, so a filter can wait on a request before passing its value on.
+ *
+ * Callbacks can be scoped to a manager ('shop') or a single flyout
+ * ('shop/edit_product'); unscoped callbacks run for every flyout.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.Hooks = {
+
+        /**
+         * Registered filter callbacks keyed by hook name
+         *
+         * @type {Object<string, Array>}
+         */
+        filters: {},
+
+        /**
+         * Registered action callbacks keyed by hook name
+         *
+         * @type {Object<string, Array>}
+         */
+        actions: {},
+
+        /**
+         * Running count used to keep registration order within a priority
+         *
+         * @type {number}
+         */
+        counter: 0,
+
+        // =====================================================================
+        // REGISTRATION
+        // =====================================================================
+
+        /**
+         * Add a filter callback
+         *
+         * @param {string}        name     Hook name, e.g. 'wpflyout.save.data'
+         * @param {Function}      callback Callback (value, context) returning the new value
+         * @param {Object|number} options  Priority, or {priority, scope}
+         * @return {void}
+         */
+        addFilter: function (name, callback, options) {
+            this.add(this.filters, name, callback, options);
+        },
+
+        /**
+         * Remove a filter callback
+         *
+         * @param {string}   name     Hook name
+         * @param {Function} callback Callback to remove
+         * @return {void}
+         */
+        removeFilter: function (name, callback) {
+            this.remove(this.filters, name, callback);
+        },
+
+        /**
+         * Add an action callback
+         *
+         * @param {string}        name     Hook name, e.g. 'wpflyout.save.after'
+         * @param {Function}      callback Callback (context)
+         * @param {Object|number} options  Priority, or {priority, scope}
+         * @return {void}
+         */
+        addAction: function (name, callback, options) {
+            this.add(this.actions, name, callback, options);
+        },
+
+        /**
+         * Remove an action callback
+         *
+         * @param {string}   name     Hook name
+         * @param {Function} callback Callback to remove
+         * @return {void}
+         */
+        removeAction: function (name, callback) {
+            this.remove(this.actions, name, callback);
+        },
+
+        /**
+         * Store a callback sorted by priority, then registration order
+         *
+         * @param {Object}        store    filters or actions
+         * @param {string}        name     Hook name
+         * @param {Function}      callback Callback
+         * @param {Object|number} options  Priority, or {priority, scope}
+         * @return {void}
+         */
+        add: function (store, name, callback, options) {
+            if (typeof options === 'number') {
+                options = { priority: options };
+            }
+
+            options = options || {};
+
+            store[name] = store[name] || [];
+            store[name].push({
+                callback: callback,
+                priority: options.priority !== undefined ? options.priority : 10,
+                scope: options.scope || '',
+                order: this.counter++
+            });
+
+            store[name].sort(function (a, b) {
+                return a.priority - b.priority || a.order - b.order;
+            });
+        },
+
+        /**
+         * Remove a stored callback
+         *
+         * @param {Object}   store    filters or actions
+         * @param {string}   name     Hook name
+         * @param {Function} callback Callback
+         * @return {void}
+         */
+        remove: function (store, name, callback) {
+            if (!store[name]) {
+                return;
+            }
+
+            store[name] = store[name].filter(function (entry) {
+                return entry.callback !== callback;
+            });
+        },
+
+        // =====================================================================
+        // EXECUTION
+        // =====================================================================
+
+        /**
+         * Run filters in sequence, waiting on any returned Promise
+         *
+         * @param {string} name    Hook name
+         * @param {*}      value   Value to filter
+         * @param {Object} context Hook context (manager, flyout, id, ...)
+         * @return {Promise<*>} Resolves with the filtered value
+         */
+        applyFilters: function (name, value, context) {
+            return this.getCallbacks(this.filters, name, context).reduce(function (promise, callback) {
+                return promise.then(function (current) {
+                    return callback(current, context);
+                });
+            }, Promise.resolve(value));
+        },
+
+        /**
+         * Run actions in sequence, waiting on any returned Promise
+         *
+         * A callback that throws or rejects doesn't stop the others; its
+         * error is reported with wpflyout:hook-error on document, so the
+         * returned Promise never rejects.
+         *
+         * @param {string} name    Hook name
+         * @param {Object} context Hook context
+         * @return {Promise<void>}
+         */
+        doAction: function (name, context) {
+            return this.getCallbacks(this.actions, name, context).reduce(function (promise, callback) {
+                return promise.then(function () {
+                    return callback(context);
+                }).catch(function (error) {
+                    $(document).trigger('wpflyout:hook-error', { hook: name, error: error, context: context });
+                });
+            }, Promise.resolve()).then($.noop);
+        },
+
+        /**
+         * Whether a hook has callbacks that apply to a context
+         *
+         * @param {string} name    Hook name
+         * @param {Object} context Hook context
+         * @return {boolean}
+         */
+        hasHooks: function (name, context) {
+            return this.getCallbacks(this.filters, name, context).length > 0 ||
+                this.getCallbacks(this.actions, name, context).length > 0;
+        },
+
+        /**
+         * Get callbacks whose scope matches the context
+         *
+         * @param {Object} store   filters or actions
+         * @param {string} name    Hook name
+         * @param {Object} context Hook context
+         * @return {Array<Function>}
+         */
+        getCallbacks: function (store, name, context) {
+            context = context || {};
+
+            return (store[name] || []).filter(function (entry) {
+                return !entry.scope ||
+                    entry.scope === context.manager ||
+                    entry.scope === context.manager + '/' + context.flyout;
+            }).map(function (entry) {
+                return entry.callback;
+            });
+        }
+    };
+
+})(jQuery);
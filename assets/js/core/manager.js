@@ -2,7 +2,8 @@
  * WP Flyout Manager
  *
  * Handles flyout loading, saving, and deletion via REST API.
- * Always reloads page after successful save/delete operations.
+ * After save/delete, matching WP_List_Table rows are refreshed in place
+ * unless the flyout opts in to a full page reload.
  *
  * @package     ArrayPress\WPFlyout
  * @version     2.0.0
@@ -10,207 +11,2610 @@
 (function ($) {
     'use strict';
 
+    const { __, sprintf } = wp.i18n;
+
     const WPFlyoutManager = {
 
+        /**
+         * Set when a popstate event was caused by our own history.back()
+         */
+        ignorePop: false,
+
+        /**
+         * ID of the flyout whose history entry was last cleared on close
+         */
+        historyClosed: null,
+
+        /**
+         * Draft autosave settings (localStorage)
+         */
+        drafts: {
+            prefix: 'wpflyout-draft:',
+            delay: 1000,
+            maxAge: 7 * 24 * 60 * 60 * 1000
+        },
+
+        /**
+         * sessionStorage key prefix for the last active tab per flyout
+         */
+        tabPrefix: 'wpflyout-tab:',
+
+        /**
+         * Configs of open flyouts that track a record lock, keyed by flyout ID
+         */
+        locks: {},
+
+        /**
+         * AbortControllers of requests that a newer one replaces, keyed by purpose
+         */
+        pending: {},
+
         /**
          * Initialize manager
          */
         init: function () {
             $(document).on('click', '.wp-flyout-trigger', this.handleTrigger.bind(this));
+            $(document).on('wpflyout:closing', this.handleClosing.bind(this));
+
+            // Browser history integration
+            $(window).on('popstate.wpflyout', this.handlePopState.bind(this));
+            $(document).on('wpflyout:closed', this.handleHistoryClose.bind(this));
+            $(document).on('wpflyout:tab-changed', this.handleHistoryTab.bind(this));
+
+            // Record locks
+            $(document).on('heartbeat-send.wpflyout', this.sendLocks.bind(this));
+            $(document).on('heartbeat-tick.wpflyout', this.receiveLocks.bind(this));
+            $(window).on('pagehide.wpflyout', this.releaseAllLocks.bind(this));
+
+            // Connection state, tracked by WPFlyout.rest
+            $(document).on('wpflyout:connection-changed', this.handleConnectionChange.bind(this));
+            $(document).on('wpflyout:opened', this.handleOpenedOffline.bind(this));
+
+            this.registerShortcuts();
+            this.openFromUrl();
+        },
+
+        /**
+         * Register save, save-and-close and delete shortcuts
+         *
+         * They act through the flyout's own buttons, so flyouts without a
+         * Save or Delete button leave the keys to the browser.
+         */
+        registerShortcuts: function () {
+            var shortcuts = WPFlyout.Shortcuts;
+            var has = function (selector) {
+                return function ($flyout) {
+                    return $flyout.find(selector).length > 0;
+                };
+            };
+
+            shortcuts.register('mod+s', function ($flyout) {
+                $flyout.trigger('wpflyout:shortcut-save', [false]);
+            }, { description: __('Save', 'wp-flyout'), when: has('.wp-flyout-save, .wp-flyout-bulk-save') });
+
+            shortcuts.register('mod+enter', function ($flyout) {
+                $flyout.trigger('wpflyout:shortcut-save', [true]);
+            }, { description: __('Save and close', 'wp-flyout'), when: has('.wp-flyout-save') });
+
+            // Not while typing: Ctrl/Cmd+Backspace deletes words and lines in text fields
+            shortcuts.register('mod+backspace', function ($flyout) {
+                $flyout.find('.wp-flyout-delete').filter(':enabled').first().trigger('click');
+            }, { description: __('Delete', 'wp-flyout'), when: has('.wp-flyout-delete'), inInput: false });
         },
 
         /**
          * Make a REST API request
          *
+         * Shorthand for WPFlyout.rest.request(), which documents the options
+         * and errors.
+         *
          * @param {string} endpoint REST endpoint path (e.g. '/load')
          * @param {Object} data     Request body data
          * @param {string} method   HTTP method (default: 'POST')
+         * @param {Object} options  Request options
          * @return {Promise} Resolves with parsed JSON response
          */
-        api: function (endpoint, data, method) {
-            method = method || 'POST';
+        api: function (endpoint, data, method, options) {
+            return WPFlyout.rest.request(endpoint, data, method, options);
+        },
+
+        /**
+         * Start a request that replaces any pending one with the same key
+         *
+         * @param {string} key Request purpose, e.g. 'load'
+         * @return {AbortController} Pass its signal to api()
+         */
+        startRequest: function (key) {
+            if (this.pending[key]) {
+                this.pending[key].abort();
+            }
+
+            this.pending[key] = new AbortController();
+
+            return this.pending[key];
+        },
+
+        /**
+         * Forget a finished request started with startRequest
+         */
+        endRequest: function (key, controller) {
+            if (this.pending[key] === controller) {
+                delete this.pending[key];
+            }
+        },
+
+        /**
+         * Show or clear the offline notice in open flyouts
+         */
+        handleConnectionChange: function () {
+            var self = this;
+
+            $('.wp-flyout.active').each(function () {
+                self.renderOfflineNotice($(this));
+            });
+        },
+
+        /**
+         * Show the offline notice in flyouts opened while offline
+         */
+        handleOpenedOffline: function (e, data) {
+            if (WPFlyout.rest.offline) {
+                this.renderOfflineNotice($(data.element));
+            }
+        },
+
+        /**
+         * Add or remove a flyout's offline notice to match the connection state
+         */
+        renderOfflineNotice: function ($flyout) {
+            var offline = WPFlyout.rest.offline;
+
+            $flyout.toggleClass('is-offline', offline);
+            $flyout.find('.wp-flyout-offline-notice').remove();
+
+            if (offline) {
+                $('<div class="wp-flyout-offline-notice" role="status"></div>')
+                    .append('<span class="dashicons dashicons-warning" aria-hidden="true"></span>')
+                    .append($('<p></p>').text(__('You are offline. Changes can’t be saved until the connection is back.', 'wp-flyout')))
+                    .prependTo($flyout.find('.wp-flyout-body'));
+            }
+        },
+
+        /**
+         * Handle trigger click
+         */
+        handleTrigger: function (e) {
+            e.preventDefault();
+
+            var $btn = $(e.currentTarget);
+            var config = this.extractConfig($btn);
+
+            // Focus returns here when the flyout closes
+            config.trigger = $btn[0];
+
+            // Triggers inside a flyout open a child flyout on top of it
+            var $parent = $btn.closest('.wp-flyout');
+            if ($parent.length) {
+                config.parentId = $parent.attr('id');
+            }
+
+            // Bulk triggers edit the rows checked in the list table
+            if ($btn.data('bulk')) {
+                config.itemIds = this.getSelectedIds($btn);
+
+                if (!config.itemIds.length) {
+                    WPFlyout.dialog.alert({
+                        message: __('Select at least one item to edit.', 'wp-flyout'),
+                        context: $btn
+                    });
+                    return;
+                }
+            }
+
+            this.loadFlyout(config);
+        },
+
+        /**
+         * Extract configuration from trigger button
+         */
+        extractConfig: function ($btn) {
+            var config = {
+                flyout: $btn.data('flyout'),
+                manager: $btn.data('flyout-manager'),
+                data: {}
+            };
+
+            // Collect additional data attributes
+            $.each($btn[0].dataset, function (key, value) {
+                if (['flyout', 'flyoutManager'].indexOf(key) === -1) {
+                    config.data[key] = value;
+                }
+            });
+
+            // data-tab opens the flyout on that tab
+            if (config.data.tab) {
+                config.tab = String(config.data.tab);
+            }
+
+            return config;
+        },
+
+        /**
+         * Load flyout via REST API, alerting on failure
+         */
+        loadFlyout: function (config) {
+            return this.fetchFlyout(config).catch(function (error) {
+                if ((error.code === 'flyout_vetoed' && !error.message) || error.code === 'flyout_aborted') {
+                    return;
+                }
+                WPFlyout.dialog.alert({
+                    message: error.message || __('Failed to load flyout', 'wp-flyout'),
+                    context: config.trigger
+                });
+            });
+        },
+
+        /**
+         * Request flyout HTML and display it
+         *
+         * @param {Object} config   Flyout config
+         * @param {jQuery} $replace Optional open flyout to swap for the new one
+         * @return {Promise<jQuery>} Resolves with the opened flyout element
+         */
+        fetchFlyout: function (config, $replace) {
+            var self = this;
+            var context = this.hookContext(config);
+
+            // A newer load cancels this one, so a slow response can't replace a newer flyout
+            return this.requestFlyout(config, 'load', context).then(function (response) {
+                config.lock = response.lock || null;
+                config.version = response.version || null;
+                config.versions = response.versions || null;
+
+                var $flyout = self.displayFlyout(response.html, config, $replace);
+
+                WPFlyout.Hooks.doAction('wpflyout.load.after', $.extend(context, {
+                    element: $flyout[0],
+                    response: response
+                }));
+
+                return $flyout;
+            });
+        },
+
+        /**
+         * Run the load hooks and request a flyout's HTML from /load
+         *
+         * @param {Object} config  Flyout config
+         * @param {string} key     startRequest key; a newer request with the same key cancels this one
+         * @param {Object} context Hook context
+         * @return {Promise<Object>} Resolves with the /load response
+         */
+        requestFlyout: function (config, key, context) {
+            var self = this;
+
+            var requestData = {
+                manager: config.manager,
+                flyout: config.flyout,
+                item_id: config.data.id || 0
+            };
+
+            // Pass through title/subtitle overrides
+            if (config.data.title) {
+                requestData.title = config.data.title;
+            }
+            if (config.data.subtitle) {
+                requestData.subtitle = config.data.subtitle;
+            }
+
+            if (config.itemIds) {
+                requestData.item_ids = config.itemIds;
+            }
+
+            // One-off: later reloads of this record must not take the lock again
+            if (config.takeOver) {
+                requestData.take_over = true;
+                delete config.takeOver;
+            }
+
+            var controller = this.startRequest(key);
+
+            return this.runBeforeHooks('load', requestData, context)
+                .then(function (data) {
+                    return self.api('/load', data, 'POST', { signal: controller.signal, idempotent: true });
+                })
+                .then(function (response) {
+                    self.endRequest(key, controller);
+
+                    if (controller.signal.aborted) {
+                        throw WPFlyout.rest.abortError();
+                    }
+
+                    if (!response.success) {
+                        throw new Error(response.message || __('Failed to load flyout', 'wp-flyout'));
+                    }
+
+                    return response;
+                }, function (error) {
+                    self.endRequest(key, controller);
+                    throw error;
+                });
+        },
+
+        // =====================================================================
+        // LIFECYCLE HOOKS
+        // =====================================================================
+
+        /**
+         * Base context passed to lifecycle hooks
+         */
+        hookContext: function (config, $flyout) {
+            return {
+                manager: config.manager,
+                flyout: config.flyout,
+                id: config.data.id || 0,
+                config: config,
+                element: $flyout ? $flyout[0] : null
+            };
+        },
+
+        /**
+         * Run the data filter and veto hooks for a request
+         *
+         * wpflyout.{type}.data filters the request payload. wpflyout.{type}.before
+         * receives true and the filtered payload in context.data; returning false
+         * cancels the request quietly, returning a string cancels it with that
+         * message. Rejected Promises cancel it with the rejection message.
+         *
+         * @return {Promise<Object>} Resolves with the payload to send
+         */
+        runBeforeHooks: function (type, payload, context) {
+            var hooks = WPFlyout.Hooks;
+
+            return hooks.applyFilters('wpflyout.' + type + '.data', payload, context)
+                .then(function (data) {
+                    context.data = data;
+
+                    return hooks.applyFilters('wpflyout.' + type + '.before', true, context)
+                        .then(function (proceed) {
+                            if (proceed === false || typeof proceed === 'string') {
+                                var vetoed = new Error(proceed || '');
+                                vetoed.code = 'flyout_vetoed';
+                                throw vetoed;
+                            }
+
+                            return data;
+                        });
+                });
+        },
+
+        // =====================================================================
+        // PROGRAMMATIC API
+        // =====================================================================
+
+        /**
+         * Open a flyout from code
+         *
+         * @param {string} manager Manager prefix
+         * @param {string} flyout  Flyout ID
+         * @param {*}      id      Record ID (0 or empty for a new record)
+         * @param {Object} options Optional: data (extra request data), tab,
+         *                         parent (flyout element ID to stack on), returnFocus
+         * @return {Promise<Object>} Resolves with a flyout handle
+         */
+        open: function (manager, flyout, id, options) {
+            var self = this;
+            options = options || {};
+
+            var config = {
+                manager: manager,
+                flyout: flyout,
+                data: $.extend({}, options.data, { id: id || '' }),
+                trigger: options.returnFocus || document.activeElement
+            };
+
+            if (options.tab) {
+                config.tab = options.tab;
+            }
+
+            if (options.parent) {
+                config.parentId = options.parent;
+            }
+
+            return this.fetchFlyout(config).then(function ($flyout) {
+                return self.createHandle($flyout, config);
+            });
+        },
+
+        /**
+         * Build the handle returned by open()
+         *
+         * saved, deleted and dismissed each settle only for the outcome that
+         * happened; closed always resolves with {reason, response}.
+         */
+        createHandle: function ($flyout, config) {
+            var self = this;
+            var flyoutId = $flyout.attr('id');
+            var $form = $flyout.find('form').first();
+            var outcome = { reason: 'dismissed', response: null };
+            var resolvers = {};
+
+            var promiseFor = function (name) {
+                return new Promise(function (resolve) {
+                    resolvers[name] = resolve;
+                });
+            };
+
+            var handle = {
+                id: flyoutId,
+                element: $flyout[0],
+                config: config,
+                saved: promiseFor('saved'),
+                deleted: promiseFor('deleted'),
+                dismissed: promiseFor('dismissed'),
+                closed: promiseFor('closed'),
+
+                /**
+                 * Close the flyout; force skips the unsaved-changes prompt
+                 */
+                close: function (force) {
+                    if (force) {
+                        $flyout.removeData('formSnapshot');
+                    }
+                    WPFlyout.close(flyoutId);
+                },
+
+                /**
+                 * Current form data, as sent to /save
+                 */
+                getData: function () {
+                    return self.collectFormData($form);
+                },
 
-            const options = {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': wpFlyout.restNonce
+                /**
+                 * Set field values by name; fields not listed are left as-is
+                 */
+                setData: function (data) {
+                    self.applyFormData($form, data);
+                    return handle;
                 },
-                credentials: 'same-origin'
+
+                /**
+                 * Validate and save; resolves with the /save response
+                 */
+                save: function () {
+                    return self.handleSave($flyout, flyoutId, config);
+                }
+            };
+
+            var scoped = function (e, data) {
+                return data && data.id === flyoutId;
             };
 
-            if (method === 'GET') {
-                const params = new URLSearchParams(data);
-                endpoint = endpoint + '?' + params.toString();
-            } else {
-                options.body = JSON.stringify(data);
+            $(document).on('wpflyout:saved.handle-' + flyoutId, function (e, data) {
+                if (!scoped(e, data)) return;
+                outcome = { reason: 'saved', response: data.response };
+                resolvers.saved(data.response);
+            });
+
+            $(document).on('wpflyout:deleted.handle-' + flyoutId, function (e, data) {
+                if (!scoped(e, data)) return;
+                outcome = { reason: 'deleted', response: data.response };
+                resolvers.deleted(data.response);
+            });
+
+            $(document).on('wpflyout:closed.handle-' + flyoutId, function (e, data) {
+                if (!scoped(e, data)) return;
+
+                $(document).off('.handle-' + flyoutId);
+
+                if (outcome.reason === 'dismissed') {
+                    resolvers.dismissed();
+                }
+                resolvers.closed(outcome);
+            });
+
+            return handle;
+        },
+
+        /**
+         * Display flyout and setup handlers
+         *
+         * With $replace, the new flyout takes the place of an open one
+         * (record navigation) instead of opening on its own.
+         */
+        displayFlyout: function (html, config, $replace) {
+            var $flyout;
+            var previousEntry = $replace ? $replace.data('historyEntry') : null;
+
+            if ($replace) {
+                $flyout = $($.parseHTML($.trim(html), document, true)).filter('.wp-flyout').first();
+            } else {
+                // Top-level flyouts replace any existing ones; children stack on their parent
+                if (!config.parentId) {
+                    $('.wp-flyout').remove();
+                    WPFlyout.active = [];
+                }
+
+                $('body').append(html);
+                $flyout = $('.wp-flyout').last();
+            }
+
+            var flyoutId = $flyout.attr('id');
+
+            // Removed from the DOM on close
+            $flyout.addClass('wp-flyout-dynamic');
+
+            // Field markup as rendered, before components change it; refresh() compares against it
+            this.recordFieldSources($flyout);
+
+            if (config.parentId) {
+                this.renderBreadcrumb($flyout, config.parentId);
+            }
+
+            // Open it
+            if ($replace) {
+                WPFlyout.replace($replace.attr('id'), $flyout);
+
+                if (config.trigger) {
+                    $flyout.data('returnFocus', config.trigger);
+                }
+            } else {
+                WPFlyout.open(flyoutId, { returnFocus: config.trigger });
+            }
+
+            // Store config; refresh() updates the live object under 'config'
+            $flyout.data(config);
+            $flyout.data('config', config);
+
+            // Ensure form wrapper exists
+            this.ensureForm($flyout);
+
+            // Bind handlers
+            this.bindHandlers($flyout, flyoutId, config);
+
+            // Track unsaved changes once components have initialized
+            this.initDirtyTracking($flyout, flyoutId);
+
+            // Autosave drafts and offer to restore a previous one
+            this.initDrafts($flyout, flyoutId, config);
+
+            // Previous / Next record controls
+            this.renderNavigation($flyout, config);
+
+            // Warn when another user is editing this record
+            this.initLock($flyout, flyoutId, config);
+
+            // Open the requested or remembered tab, loading lazy panels on demand
+            this.initTabs($flyout, flyoutId, config);
+
+            // Reflect the open flyout in the URL (bulk selections can't be deep linked)
+            if (!config.itemIds) {
+                this.pushHistory($flyout, flyoutId, config, previousEntry);
+            }
+
+            return $flyout;
+        },
+
+        // =====================================================================
+        // HISTORY / DEEP LINKS
+        // =====================================================================
+
+        /**
+         * Build the URL hash for a flyout
+         *
+         * Format: #flyout=manager/flyout/id[/tab]
+         */
+        buildHash: function (entry) {
+            var parts = [entry.manager, entry.flyout, entry.id || 0];
+
+            if (entry.tab) {
+                parts.push(entry.tab);
+            }
+
+            return '#flyout=' + parts.map(function (part) {
+                return encodeURIComponent(String(part));
+            }).join('/');
+        },
+
+        /**
+         * Parse a flyout URL hash
+         *
+         * @return {Object|null} Entry (manager, flyout, id, tab) or null
+         */
+        parseHash: function (hash) {
+            var match = /^#flyout=([^&]+)/.exec(hash || '');
+            if (!match) return null;
+
+            var parts = match[1].split('/').map(decodeURIComponent);
+            if (parts.length < 2) return null;
+
+            return {
+                manager: parts[0],
+                flyout: parts[1],
+                id: parts[2] && parts[2] !== '0' ? parts[2] : '',
+                tab: parts[3] || ''
+            };
+        },
+
+        /**
+         * Current URL without the hash
+         */
+        baseUrl: function () {
+            return location.pathname + location.search;
+        },
+
+        /**
+         * Add a history entry for a newly opened flyout
+         *
+         * A flyout that replaced another (record navigation) takes over the
+         * replaced entry instead of adding one, so Back still closes it.
+         */
+        pushHistory: function ($flyout, flyoutId, config, replaces) {
+            if (!window.history || !history.pushState) return;
+
+            var entry = {
+                flyoutId: flyoutId,
+                manager: config.manager,
+                flyout: config.flyout,
+                id: config.data.id || '',
+                tab: config.tab || '',
+                depth: WPFlyout.active.length,
+                pushed: replaces ? !!replaces.pushed : !config.fromUrl
+            };
+            var url = this.baseUrl() + this.buildHash(entry);
+
+            $flyout.data('historyEntry', entry);
+
+            if (entry.pushed && !replaces) {
+                history.pushState({ wpFlyout: entry }, '', url);
+            } else {
+                history.replaceState({ wpFlyout: entry }, '', url);
+            }
+        },
+
+        /**
+         * Remove the history entry of a flyout closed through the UI
+         */
+        handleHistoryClose: function (e, data) {
+            var entry = history.state && history.state.wpFlyout;
+
+            // Swapped for another record; pushHistory takes over the entry
+            if (data.replacedBy) return;
+
+            if (!entry || entry.flyoutId !== data.id) return;
+
+            // history.back() is asynchronous, so the entry is still current on a repeat call
+            if (this.historyClosed === data.id) return;
+
+            this.historyClosed = data.id;
+
+            if (entry.pushed) {
+                this.ignorePop = true;
+                history.back();
+            } else {
+                history.replaceState(null, '', this.baseUrl());
+            }
+        },
+
+        /**
+         * Keep the active tab in the URL
+         */
+        handleHistoryTab: function (e, data) {
+            var entry = history.state && history.state.wpFlyout;
+
+            if (!entry || entry.flyoutId !== data.flyoutId) return;
+
+            entry = $.extend({}, entry, { tab: data.tabId });
+            $('#' + data.flyoutId).data('historyEntry', entry);
+            history.replaceState({ wpFlyout: entry }, '', this.baseUrl() + this.buildHash(entry));
+        },
+
+        /**
+         * Browser Back closes flyouts above the restored history depth
+         */
+        handlePopState: function (e) {
+            if (this.ignorePop) {
+                this.ignorePop = false;
+                return;
+            }
+
+            var state = e.originalEvent.state;
+            var depth = state && state.wpFlyout ? state.wpFlyout.depth : 0;
+
+            while (WPFlyout.active.length > depth) {
+                var topId = WPFlyout.getLastId();
+                var $top = $('#' + topId);
+
+                if (!WPFlyout.close(topId)) {
+                    // Closing was blocked (e.g. unsaved changes) — restore its entry
+                    var entry = $top.data('historyEntry');
+                    if (entry) {
+                        history.pushState({ wpFlyout: entry }, '', this.baseUrl() + this.buildHash(entry));
+                    }
+                    return;
+                }
+            }
+        },
+
+        /**
+         * Reload the page without reopening the flyout from the URL hash
+         */
+        reloadPage: function () {
+            if (window.history && history.replaceState) {
+                history.replaceState(null, '', this.baseUrl());
+            }
+
+            location.reload();
+        },
+
+        /**
+         * Open the flyout referenced by the URL hash on page load
+         */
+        openFromUrl: function () {
+            var entry = this.parseHash(location.hash);
+            if (!entry) return;
+
+            // Prefer a matching trigger on the page so title/subtitle overrides apply
+            var $trigger = entry.id
+                ? this.findTriggers($(document), entry.manager, entry.flyout, entry.id).first()
+                : $();
+
+            var config = $trigger.length
+                ? this.extractConfig($trigger)
+                : { manager: entry.manager, flyout: entry.flyout, data: { id: entry.id } };
+
+            if ($trigger.length) {
+                config.trigger = $trigger[0];
+            }
+
+            config.tab = entry.tab;
+            config.fromUrl = true;
+
+            this.loadFlyout(config);
+        },
+
+        /**
+         * Render a breadcrumb trail back to the parent flyouts
+         */
+        renderBreadcrumb: function ($flyout, parentId) {
+            var trail = [];
+            var id = parentId;
+
+            while (id && $('#' + id).length) {
+                var $ancestor = $('#' + id);
+                trail.unshift({
+                    id: id,
+                    title: $.trim($ancestor.find('.wp-flyout-title').first().text())
+                });
+                id = $ancestor.data('parentId');
+            }
+
+            var $nav = $('<nav class="wp-flyout-breadcrumb"></nav>').attr('aria-label', __('Breadcrumb', 'wp-flyout'));
+
+            trail.forEach(function (item, index) {
+                if (index > 0) {
+                    $nav.append('<span class="wp-flyout-breadcrumb-separator" aria-hidden="true">/</span>');
+                }
+
+                $('<a href="#" class="wp-flyout-breadcrumb-link"></a>')
+                    .attr('data-flyout-target', item.id)
+                    .text(item.title || '\u2026')
+                    .prepend(index === 0 ? '<span class="dashicons dashicons-arrow-left-alt2"></span>' : '')
+                    .appendTo($nav);
+            });
+
+            $flyout.find('.wp-flyout-header-content').prepend($nav);
+
+            $nav.on('click', '.wp-flyout-breadcrumb-link', function (e) {
+                e.preventDefault();
+                WPFlyout.closeAbove($(this).data('flyout-target'));
+            });
+        },
+
+        /**
+         * Ensure form wrapper exists
+         */
+        ensureForm: function ($flyout) {
+            if (!$flyout.find('form').length) {
+                var $body = $flyout.find('.wp-flyout-body');
+                var $form = $('<form class="wp-flyout-form" novalidate></form>');
+                $form.append($body.children());
+                $body.append($form);
+            }
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindHandlers: function ($flyout, flyoutId, config) {
+            var self = this;
+
+            // Save button
+            $flyout.on('click', '.wp-flyout-save', function (e) {
+                e.preventDefault();
+                // Errors are already shown in the flyout
+                self.handleSave($flyout, flyoutId, config).catch($.noop);
+            });
+
+            // Delete button
+            $flyout.on('click', '.wp-flyout-delete', function (e) {
+                e.preventDefault();
+                WPFlyout.dialog.confirm({
+                    message: __('Are you sure you want to delete this item?', 'wp-flyout'),
+                    confirmText: __('Delete', 'wp-flyout'),
+                    destructive: true,
+                    context: $flyout
+                }).then(function (confirmed) {
+                    if (confirmed) {
+                        self.handleDelete($flyout, flyoutId, config);
+                    }
+                });
+            });
+
+            // Ctrl/Cmd+S saves and stays open, Ctrl/Cmd+Enter saves and closes
+            $flyout.on('wpflyout:shortcut-save', function (e, close) {
+                var $button = $flyout.find('.wp-flyout-save, .wp-flyout-bulk-save').first();
+
+                if ($button.prop('disabled')) return;
+
+                if ($button.hasClass('wp-flyout-bulk-save')) {
+                    self.handleBulkSave($flyout, flyoutId, config);
+                } else {
+                    self.handleSave($flyout, flyoutId, config, { close: close }).catch($.noop);
+                }
+            });
+
+            // Bulk edit: apply button and "Leave unchanged" toggles
+            $flyout.on('click', '.wp-flyout-bulk-save', function (e) {
+                e.preventDefault();
+                self.handleBulkSave($flyout, flyoutId, config);
+            });
+
+            $flyout.on('change', '.wp-flyout-bulk-keep input', function () {
+                self.toggleBulkField($(this).closest('.wp-flyout-bulk-field'), !this.checked);
+            });
+
+        },
+
+        /**
+         * Snapshot form state and guard page unload while dirty
+         */
+        initDirtyTracking: function ($flyout, flyoutId) {
+            var self = this;
+
+            $flyout.one('flyout:ready', function () {
+                self.markClean($flyout);
+            });
+
+            $(window).on('beforeunload.wpflyout-' + flyoutId, function (e) {
+                if (self.isDirty($flyout)) {
+                    e.preventDefault();
+                    e.originalEvent.returnValue = '';
+                    return '';
+                }
+            });
+
+            $(document).on('wpflyout:closed.dirty-' + flyoutId, function (e, data) {
+                if (data.id === flyoutId) {
+                    $(window).off('beforeunload.wpflyout-' + flyoutId);
+                    $(document).off('wpflyout:closed.dirty-' + flyoutId);
+                }
+            });
+        },
+
+        /**
+         * Store the current form data as the clean state
+         */
+        markClean: function ($flyout) {
+            var $form = $flyout.find('form').first();
+            $flyout.data('formSnapshot', JSON.stringify(this.collectFormData($form)));
+        },
+
+        /**
+         * Check whether the form differs from its clean state
+         */
+        isDirty: function ($flyout) {
+            var snapshot = $flyout.data('formSnapshot');
+
+            if (snapshot === undefined) {
+                return false;
+            }
+
+            var $form = $flyout.find('form').first();
+            return JSON.stringify(this.collectFormData($form)) !== snapshot;
+        },
+
+        /**
+         * Block closing a dirty flyout and ask to discard changes
+         */
+        handleClosing: function (e, data) {
+            var $flyout = $(data.element);
+
+            if (!this.isDirty($flyout)) {
+                return;
+            }
+
+            e.preventDefault();
+
+            // Escape or another close click while the question is still open
+            if ($flyout.data('discardPending')) {
+                return;
+            }
+
+            $flyout.data('discardPending', true);
+
+            this.confirmDiscard($flyout).then(function (discard) {
+                $flyout.removeData('discardPending');
+
+                if (discard) {
+                    $flyout.removeData('formSnapshot');
+                    WPFlyout.close(data.id);
+                }
+            });
+        },
+
+        /**
+         * Ask before dropping unsaved changes
+         *
+         * @return {Promise<boolean>} True when clean or the user chose to discard
+         */
+        confirmDiscard: function ($flyout) {
+            if (!this.isDirty($flyout)) {
+                return Promise.resolve(true);
+            }
+
+            return WPFlyout.dialog.confirm({
+                message: __('You have unsaved changes. Discard them?', 'wp-flyout'),
+                confirmText: __('Discard changes', 'wp-flyout'),
+                cancelText: __('Keep editing', 'wp-flyout'),
+                destructive: true,
+                context: $flyout
+            });
+        },
+
+        // =====================================================================
+        // IN-PLACE REFRESH
+        // =====================================================================
+
+        /**
+         * Load an open flyout's record again and morph it into the existing DOM
+         *
+         * Fields whose markup didn't change keep their elements and component
+         * state; the rest are swapped and components initialize them through
+         * wpflyout:content-loaded. The active tab, open accordion sections,
+         * scroll offset and focus are kept. Unsaved changes prompt first.
+         *
+         * When the lock was taken or freed meanwhile, the flyout is replaced
+         * instead, as that changes what can be edited.
+         *
+         * @param {string} flyoutId Flyout element ID
+         * @return {Promise<jQuery|null>} Resolves with the flyout, or null when the user kept their changes
+         */
+        refresh: function (flyoutId) {
+            var self = this;
+            var $flyout = $('#' + flyoutId);
+            var config = $flyout.data('config');
+
+            if (!config) {
+                return Promise.reject(WPFlyout.rest.createError('flyout_not_found', __('Flyout not found', 'wp-flyout')));
+            }
+
+            return this.confirmDiscard($flyout).then(function (proceed) {
+                if (!proceed) {
+                    return null;
+                }
+
+                var keep = !self.isDirty($flyout);
+                var context = self.hookContext(config, $flyout);
+
+                $flyout.addClass('is-refreshing').attr('aria-busy', 'true');
+
+                return self.requestFlyout(config, 'refresh:' + flyoutId, context).then(function (response) {
+                    $flyout.removeClass('is-refreshing').removeAttr('aria-busy');
+
+                    // Closed while loading
+                    if (!$.contains(document, $flyout[0])) {
+                        return null;
+                    }
+
+                    var blocked = !!(config.lock && !config.lock.held);
+                    var lock = response.lock || null;
+
+                    if (blocked !== !!(lock && lock.locked)) {
+                        return self.fetchFlyout(config, $flyout);
+                    }
+
+                    if (config.lock && lock) {
+                        $.extend(config.lock, lock);
+                    }
+
+                    config.version = response.version || null;
+
+                    self.morphFlyout($flyout, response.html, keep);
+
+                    if (!keep) {
+                        self.clearDraft($flyout);
+                    }
+
+                    self.markClean($flyout);
+
+                    WPFlyout.Hooks.doAction('wpflyout.load.after', $.extend(context, {
+                        element: $flyout[0],
+                        response: response
+                    }));
+
+                    $(document).trigger('wpflyout:refreshed', {
+                        id: flyoutId,
+                        element: $flyout[0],
+                        response: response
+                    });
+
+                    return $flyout;
+                }, function (error) {
+                    $flyout.removeClass('is-refreshing').removeAttr('aria-busy');
+
+                    if (error.code !== 'flyout_aborted' && (error.code !== 'flyout_vetoed' || error.message)) {
+                        self.showAlert($flyout, error.message || __('Failed to load flyout', 'wp-flyout'), 'error');
+                    }
+
+                    throw error;
+                });
+            });
+        },
+
+        /**
+         * Morph freshly loaded flyout markup into an open flyout
+         *
+         * The flyout element itself stays, so its handlers, history entry,
+         * lock and navigation carry over.
+         *
+         * @param {jQuery}  $flyout Open flyout
+         * @param {string}  html    Flyout HTML from /load
+         * @param {boolean} keep    Keep elements of unchanged fields; false swaps every field
+         */
+        morphFlyout: function ($flyout, html, keep) {
+            var flyoutId = $flyout.attr('id');
+            var $next = $($.parseHTML($.trim(html), document, true)).filter('.wp-flyout').first();
+            var nextId = $next.attr('id');
+
+            // Element IDs inside derive from the flyout ID, which is new on every load
+            if (nextId && nextId !== flyoutId) {
+                this.renameFlyoutId($next, nextId, flyoutId);
+            }
+
+            var state = this.captureState($flyout);
+
+            this.recordFieldSources($next);
+
+            // Title and subtitle; record navigation and the close button stay
+            $flyout.find('.wp-flyout-header-content').first().replaceWith($next.find('.wp-flyout-header-content').first());
+            $flyout.attr('aria-describedby', $next.attr('aria-describedby') || null);
+
+            // Tab clicks are delegated from the flyout, so the nav can be swapped
+            var $nextTabs = $next.children('.wp-flyout-tabs');
+            if ($nextTabs.length) {
+                $flyout.children('.wp-flyout-tabs').replaceWith($nextTabs);
+            }
+
+            // Fields live in the form ensureForm() wrapped around the body's content
+            var $body = $flyout.find('.wp-flyout-body').first();
+            var $root = $body.children('form').first();
+            var $nextBody = $next.find('.wp-flyout-body').first();
+            var $nextRoot = $nextBody.children('form').first();
+
+            this.morphChildren($root.length ? $root : $body, $nextRoot.length ? $nextRoot : $nextBody, keep);
+
+            var $footer = $flyout.children('.wp-flyout-footer');
+            var $nextFooter = $next.children('.wp-flyout-footer');
+
+            if ($footer.length && $nextFooter.length) {
+                $footer.replaceWith($nextFooter);
+            }
+
+            $(document).trigger('wpflyout:content-loaded', {
+                id: flyoutId,
+                element: $body[0],
+                flyout: $flyout[0]
+            });
+
+            this.restoreState($flyout, state);
+        },
+
+        /**
+         * Swap one flyout ID for another in the attributes that reference it
+         *
+         * Only id, for, aria-* and in-page href attributes are touched, so
+         * field values and other content that happen to contain the ID stay.
+         *
+         * @param {jQuery} $root Flyout markup, not yet in the document
+         * @param {string} from  ID the markup was rendered with
+         * @param {string} to    ID of the open flyout
+         */
+        renameFlyoutId: function ($root, from, to) {
+            $root.find('*').addBack().each(function () {
+                Array.prototype.slice.call(this.attributes).forEach(function (attribute) {
+                    var name = attribute.name;
+                    var referencing = name === 'id' || name === 'for' || name.indexOf('aria-') === 0 ||
+                        (name === 'href' && attribute.value.charAt(0) === '#');
+
+                    if (referencing && attribute.value.indexOf(from) !== -1) {
+                        attribute.value = attribute.value.split(from).join(to);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Rebuild a container's children from new markup
+         *
+         * Fields (data-flyout-field) whose markup matches the recorded
+         * source keep their element. Tab panels (data-tab-panel) are morphed
+         * field by field, except lazy ones, which load again when shown.
+         * Everything else is replaced.
+         *
+         * @param {jQuery}  $current Container in the open flyout
+         * @param {jQuery}  $next    Matching container in the new markup
+         * @param {boolean} keep     Keep elements of unchanged fields
+         */
+        morphChildren: function ($current, $next, keep) {
+            var self = this;
+            var keyed = {};
+
+            $current.children().each(function () {
+                var key = self.morphKey(this);
+                if (key) {
+                    keyed[key] = this;
+                }
+            });
+
+            var nodes = $next.contents().get().map(function (node) {
+                var key = node.nodeType === 1 ? self.morphKey(node) : '';
+                var match = key ? keyed[key] : null;
+
+                if (!match) {
+                    return node;
+                }
+
+                if (key.indexOf('panel:') === 0) {
+                    if (node.hasAttribute('data-lazy')) {
+                        return node;
+                    }
+
+                    self.morphChildren($(match), $(node), keep);
+                    return match;
+                }
+
+                return keep && $(match).data('flyoutSource') === node.outerHTML ? match : node;
+            });
+
+            // Detach what stays first, as empty() drops jQuery data and handlers
+            $(nodes.filter(function (node) {
+                return node.parentNode === $current[0];
+            })).detach();
+
+            $current.empty().append(nodes);
+        },
+
+        /**
+         * Identity of an element across loads, or '' when it has none
+         */
+        morphKey: function (element) {
+            if (element.hasAttribute('data-tab-panel')) {
+                return 'panel:' + element.getAttribute('data-tab-panel');
+            }
+
+            if (element.hasAttribute('data-flyout-field')) {
+                return 'field:' + element.getAttribute('data-flyout-field');
+            }
+
+            return '';
+        },
+
+        /**
+         * Remember each field's markup as rendered, before components change it
+         *
+         * @param {jQuery} $scope Flyout or freshly inserted content
+         */
+        recordFieldSources: function ($scope) {
+            $scope.find('[data-flyout-field]').addBack('[data-flyout-field]').each(function () {
+                $(this).data('flyoutSource', this.outerHTML);
+            });
+        },
+
+        /**
+         * View state that a refresh keeps
+         *
+         * @return {{tab: string|undefined, scroll: number, accordions: Array, focus: Object|null}}
+         */
+        captureState: function ($flyout) {
+            var active = document.activeElement;
+
+            return {
+                tab: $flyout.find('.wp-flyout-tab.active').data('tab'),
+                scroll: $flyout.find('.wp-flyout-body').first().scrollTop(),
+
+                // Indexes of the open sections, per accordion in page order
+                accordions: $flyout.find('.wp-flyout-accordion').map(function () {
+                    return [$(this).find('.accordion-section').map(function (index) {
+                        return $(this).hasClass('is-open') ? index : null;
+                    }).get()];
+                }).get(),
+
+                focus: active && $.contains($flyout[0], active) ? { id: active.id, name: active.name } : null
+            };
+        },
+
+        /**
+         * Put back the view state captured before a refresh
+         */
+        restoreState: function ($flyout, state) {
+            if (state.tab !== undefined) {
+                WPFlyout.activateTab($flyout, state.tab);
+            }
+
+            $flyout.find('.wp-flyout-accordion').each(function (index) {
+                var open = state.accordions[index];
+
+                if (!open) return;
+
+                $(this).find('.accordion-section').each(function (i) {
+                    var isOpen = open.indexOf(i) !== -1;
+
+                    $(this).toggleClass('is-open', isOpen);
+                    $(this).find('.accordion-content').first().toggle(isOpen);
+                    $(this).find('.accordion-header').first().attr('aria-expanded', isOpen ? 'true' : 'false');
+                });
+            });
+
+            $flyout.find('.wp-flyout-body').first().scrollTop(state.scroll);
+
+            // Focus went with a swapped element; find its replacement
+            if (state.focus && !$.contains($flyout[0], document.activeElement)) {
+                var $target = state.focus.id ? $flyout.find('#' + $.escapeSelector(state.focus.id)) : $();
+
+                if (!$target.length && state.focus.name) {
+                    $target = $flyout.find('input, select, textarea, button').filter(function () {
+                        return this.name === state.focus.name;
+                    });
+                }
+
+                ($target.length ? $target.first() : $flyout).trigger('focus');
+            }
+        },
+
+        // =====================================================================
+        // RECORD NAVIGATION
+        // =====================================================================
+
+        /**
+         * Add Previous / Next / Save & Next controls to the header
+         *
+         * Shown for existing records that have a trigger on the page, unless
+         * the flyout was registered with 'navigation' => false.
+         */
+        renderNavigation: function ($flyout, config) {
+            var self = this;
+
+            if ($flyout.hasClass('wp-flyout-no-navigation') || !config.data.id) {
+                return;
+            }
+
+            var nav = config.navigation || this.getNavigation(config);
+
+            if (nav.index === -1 || (nav.records.length < 2 && !nav.prev && !nav.next)) {
+                return;
+            }
+
+            config.navigation = nav;
+
+            var hasPrev = nav.index > 0 || !!nav.prev;
+            var hasNext = nav.index < nav.records.length - 1 || !!nav.next;
+
+            var $nav = $('<div class="wp-flyout-nav" role="group"></div>')
+                .attr('aria-label', __('Record navigation', 'wp-flyout'));
+
+            $('<button type="button" class="button wp-flyout-nav-button" data-navigate="-1">' +
+                '<span class="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span></button>')
+                .attr({ 'aria-label': __('Previous record', 'wp-flyout'), title: __('Previous record', 'wp-flyout') })
+                .prop('disabled', !hasPrev)
+                .appendTo($nav);
+
+            $('<button type="button" class="button wp-flyout-nav-button" data-navigate="1">' +
+                '<span class="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span></button>')
+                .attr({ 'aria-label': __('Next record', 'wp-flyout'), title: __('Next record', 'wp-flyout') })
+                .prop('disabled', !hasNext)
+                .appendTo($nav);
+
+            if ($flyout.find('.wp-flyout-save').length) {
+                $('<button type="button" class="button wp-flyout-save-next" data-navigate="1" data-save="1"></button>')
+                    .text(__('Save & Next', 'wp-flyout'))
+                    .prop('disabled', !hasNext)
+                    .appendTo($nav);
+            }
+
+            $flyout.find('.wp-flyout-header > .wp-flyout-close').first().before($nav);
+
+            $nav.on('click', '[data-navigate]', function (e) {
+                e.preventDefault();
+                self.navigate($flyout, config, parseInt($(this).data('navigate'), 10), !!$(this).data('save'));
+            });
+        },
+
+        /**
+         * Locate a record among the flyout's triggers on the page
+         *
+         * @return {Object} records (trigger configs in page order), index of this
+         *                  record (-1 when absent), prev/next list table page URLs
+         */
+        getNavigation: function (config) {
+            var records = this.collectRecords($(document), config.manager, config.flyout);
+            var links = this.getPageLinks($(document));
+            var id = String(config.data.id);
+            var index = -1;
+
+            records.forEach(function (record, i) {
+                if (index === -1 && String(record.data.id) === id) {
+                    index = i;
+                }
+            });
+
+            return { records: records, index: index, prev: links.prev, next: links.next };
+        },
+
+        /**
+         * Configs of every record with a trigger for this flyout, in page order
+         *
+         * @param {jQuery} $scope  Document or container to search
+         * @param {string} manager Manager prefix
+         * @param {string} flyout  Flyout ID
+         * @return {Array<Object>}
+         */
+        collectRecords: function ($scope, manager, flyout) {
+            var self = this;
+            var seen = {};
+            var records = [];
+
+            $scope.find('.wp-flyout-trigger').each(function () {
+                var data = this.dataset;
+
+                if (data.flyoutManager !== manager || data.flyout !== flyout || !data.id || data.id === '0') return;
+
+                // Several row actions may open the same record; triggers inside flyouts don't count
+                if (seen['id:' + data.id] || $(this).closest('.wp-flyout').length) return;
+
+                seen['id:' + data.id] = true;
+                records.push(self.extractConfig($(this)));
+            });
+
+            return records;
+        },
+
+        /**
+         * Previous / next page URLs from a list table's pagination
+         *
+         * @param {jQuery} $scope Document or container to search
+         * @return {{prev: string, next: string}}
+         */
+        getPageLinks: function ($scope) {
+            var $pages = $scope.find('.tablenav-pages').first();
+
+            return {
+                prev: $pages.find('a.prev-page').attr('href') || '',
+                next: $pages.find('a.next-page').attr('href') || ''
+            };
+        },
+
+        /**
+         * Load the previous or next record into the open flyout
+         *
+         * @param {jQuery}  $flyout   Flyout element
+         * @param {Object}  config    Flyout config
+         * @param {number}  direction -1 for previous, 1 for next
+         * @param {boolean} save      Save the current record first
+         * @return {Promise<jQuery|null>} Resolves with the new flyout, or null when none was loaded
+         */
+        navigate: function ($flyout, config, direction, save) {
+            var self = this;
+            var message = '';
+
+            var ready = save
+                ? this.handleSave($flyout, $flyout.attr('id'), config, { close: false }).then(function (response) {
+                    message = response.message || __('Saved successfully!', 'wp-flyout');
+                    // A reload response takes over from here
+                    return !response.reload;
+                }, function () {
+                    // Errors are already shown in the flyout
+                    return false;
+                })
+                : this.confirmDiscard($flyout);
+
+            return ready.then(function (proceed) {
+                if (!proceed) {
+                    return null;
+                }
+
+                $flyout.find('.wp-flyout-nav button').prop('disabled', true);
+
+                return self.findAdjacent(config, direction)
+                    .then(function (target) {
+                        if (!target) {
+                            var none = new Error((message ? message + ' ' : '') + __('There are no more records.', 'wp-flyout'));
+                            none.code = 'flyout_no_records';
+                            throw none;
+                        }
+
+                        return self.fetchFlyout(target, $flyout);
+                    })
+                    .then(function ($next) {
+                        if (message) {
+                            self.showAlert($next, message, 'success');
+                        }
+
+                        var $focus = $next.find('.wp-flyout-nav [data-navigate="' + direction + '"]')
+                            .filter(save ? '[data-save]' : ':not([data-save])')
+                            .filter(':enabled');
+
+                        ($focus.length ? $focus : $next).first().trigger('focus');
+
+                        return $next;
+                    }, function (error) {
+                        // Restore the controls of the record that stayed open
+                        $flyout.find('.wp-flyout-nav').remove();
+                        self.renderNavigation($flyout, config);
+
+                        if (error.code === 'flyout_no_records') {
+                            self.showAlert($flyout, error.message, message ? 'success' : 'info');
+                        } else if (error.code !== 'flyout_aborted' && (error.code !== 'flyout_vetoed' || error.message)) {
+                            self.showAlert($flyout, error.message || __('Failed to load flyout', 'wp-flyout'), 'error');
+                        }
+
+                        return null;
+                    });
+            });
+        },
+
+        /**
+         * Resolve the config of the neighbouring record
+         *
+         * Fetches the previous or next list table page when the current one
+         * runs out, so navigation continues across pages.
+         *
+         * @return {Promise<Object|null>} Target config, or null at either end
+         */
+        findAdjacent: function (config, direction) {
+            var self = this;
+            var nav = config.navigation || this.getNavigation(config);
+            var index = nav.index + direction;
+
+            if (index >= 0 && index < nav.records.length) {
+                return Promise.resolve(this.navigationTarget(config, nav, index));
+            }
+
+            var url = direction > 0 ? nav.next : nav.prev;
+
+            if (!url) {
+                return Promise.resolve(null);
+            }
+
+            return fetch(url, { credentials: 'same-origin' })
+                .then(function (response) {
+                    if (!response.ok) {
+                        throw new Error(__('Failed to load the adjacent page', 'wp-flyout'));
+                    }
+                    return response.text();
+                })
+                .then(function (html) {
+                    var $page = $(new DOMParser().parseFromString(html, 'text/html'));
+                    var records = self.collectRecords($page, config.manager, config.flyout);
+                    var links = self.getPageLinks($page);
+
+                    if (!records.length) {
+                        return null;
+                    }
+
+                    return self.navigationTarget(config, {
+                        records: records,
+                        index: -1,
+                        prev: links.prev,
+                        next: links.next
+                    }, direction > 0 ? 0 : records.length - 1);
+                });
+        },
+
+        /**
+         * Config for the record at a position in a navigation list
+         */
+        navigationTarget: function (config, nav, index) {
+            var target = $.extend(true, {}, nav.records[index]);
+            var $trigger = this.findTriggers($(document), target.manager, target.flyout, target.data.id).first();
+
+            // Focus returns to the new record's row when it is on this page
+            target.trigger = $trigger.length ? $trigger[0] : config.trigger;
+            target.navigation = $.extend({}, nav, { index: index });
+
+            if (config.parentId) {
+                target.parentId = config.parentId;
+            }
+
+            return target;
+        },
+
+        // =====================================================================
+        // RECORD LOCKS
+        // =====================================================================
+
+        /**
+         * Track the lock taken by /load for this record
+         *
+         * config.lock is the lock state from /load: locked is true when
+         * another user already holds it. Held locks are refreshed through
+         * the Heartbeat API and released on close.
+         */
+        initLock: function ($flyout, flyoutId, config) {
+            var self = this;
+            var lock = config.lock;
+
+            if (!lock) return;
+
+            lock.held = !lock.locked;
+            this.locks[flyoutId] = config;
+
+            if (lock.locked) {
+                this.showLockNotice($flyout, lock.user, false);
+            }
+
+            $flyout.on('click', '.wp-flyout-lock-take-over', function (e) {
+                e.preventDefault();
+                self.takeOver($flyout, config);
+            });
+
+            $(document).on('wpflyout:closed.lock-' + flyoutId, function (e, data) {
+                if (data.id !== flyoutId) return;
+
+                $(document).off('.lock-' + flyoutId);
+                delete self.locks[flyoutId];
+
+                if (lock.held) {
+                    self.releaseLock(config);
+                }
+            });
+        },
+
+        /**
+         * Show who holds the lock and disable saving
+         *
+         * @param {jQuery}  $flyout Flyout element
+         * @param {Object}  user    Lock holder: id, name, avatar
+         * @param {boolean} lost    Whether the current user held the lock until now
+         */
+        showLockNotice: function ($flyout, user, lost) {
+            var name = user && user.name ? user.name : __('Another user', 'wp-flyout');
+
+            /* translators: %s: user display name */
+            var editing = __('%s is currently editing this item.', 'wp-flyout');
+            /* translators: %s: user display name */
+            var takenOver = __('%s has taken over and is currently editing. Your changes can no longer be saved.', 'wp-flyout');
+            var message = sprintf(lost ? takenOver : editing, name);
+
+            var $notice = $('<div class="wp-flyout-lock-notice" role="alert"></div>');
+
+            if (user && user.avatar) {
+                $('<img class="wp-flyout-lock-avatar" alt="" width="32" height="32">')
+                    .attr('src', user.avatar)
+                    .appendTo($notice);
+            }
+
+            $('<p class="wp-flyout-lock-message"></p>').text(message).appendTo($notice);
+
+            $('<button type="button" class="button wp-flyout-lock-take-over"></button>')
+                .text(__('Take over', 'wp-flyout'))
+                .appendTo($notice);
+
+            $flyout.find('.wp-flyout-lock-notice').remove();
+            $flyout.find('.wp-flyout-body').prepend($notice);
+
+            $flyout.addClass('is-locked')
+                .find('.wp-flyout-save, .wp-flyout-delete, .wp-flyout-bulk-save, .wp-flyout-nav [data-save]')
+                .prop('disabled', true);
+        },
+
+        /**
+         * Switch a flyout to the locked state after another user took over
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @param {Object} config  Flyout config
+         * @param {Object} state   Lock state from the server
+         */
+        loseLock: function ($flyout, config, state) {
+            if (!config.lock) return;
+
+            var lost = config.lock.held;
+
+            $.extend(config.lock, state, { held: false });
+            this.showLockNotice($flyout, config.lock.user, lost);
+
+            $(document).trigger('wpflyout:lock-lost', {
+                id: $flyout.attr('id'),
+                element: $flyout[0],
+                config: config,
+                user: config.lock.user
+            });
+        },
+
+        /**
+         * Take the lock from the other user and reload the record
+         *
+         * Unsaved changes are discarded, so the reload shows the other
+         * user's latest saved version.
+         *
+         * @return {Promise<jQuery|null>} Resolves with the reloaded flyout, or null
+         */
+        takeOver: function ($flyout, config) {
+            var self = this;
+
+            return this.confirmDiscard($flyout).then(function (proceed) {
+                if (!proceed) {
+                    return null;
+                }
+
+                var $button = $flyout.find('.wp-flyout-lock-take-over').prop('disabled', true);
+
+                return self.fetchFlyout($.extend({}, config, { takeOver: true }), $flyout).then(function ($next) {
+                    $next.trigger('focus');
+                    return $next;
+                }, function (error) {
+                    $button.prop('disabled', false);
+
+                    if (error.code !== 'flyout_aborted' && (error.code !== 'flyout_vetoed' || error.message)) {
+                        self.showAlert($flyout, error.message || __('Failed to load flyout', 'wp-flyout'), 'error');
+                    }
+
+                    return null;
+                });
+            });
+        },
+
+        /**
+         * Lock identity sent to the server
+         */
+        lockParams: function (config) {
+            return {
+                manager: config.manager,
+                flyout: config.flyout,
+                item_id: config.data.id || 0
+            };
+        },
+
+        /**
+         * Release a lock unless another open flyout still shows the record
+         *
+         * Deferred so a flyout that replaced this one (take-over, record
+         * reload) has registered its own lock first.
+         */
+        releaseLock: function (config) {
+            var self = this;
+            var params = this.lockParams(config);
+
+            setTimeout(function () {
+                var stillOpen = Object.keys(self.locks).some(function (flyoutId) {
+                    var other = self.locks[flyoutId];
+
+                    return other.lock.held && other.manager === params.manager && other.flyout === params.flyout &&
+                        String(other.data.id) === String(params.item_id);
+                });
+
+                if (!stillOpen) {
+                    self.api('/unlock', params, 'POST', { idempotent: true }).catch($.noop);
+                }
+            }, 0);
+        },
+
+        /**
+         * Release held locks when leaving the page
+         *
+         * sendBeacon can't set the nonce header, so it goes in the URL.
+         */
+        releaseAllLocks: function () {
+            var self = this;
+
+            if (!navigator.sendBeacon) return;
+
+            var url = wpFlyout.restUrl + '/unlock';
+            url += (url.indexOf('?') === -1 ? '?' : '&') + '_wpnonce=' + encodeURIComponent(wpFlyout.restNonce);
+
+            $.each(this.locks, function (flyoutId, config) {
+                if (config.lock.held) {
+                    navigator.sendBeacon(url, new URLSearchParams(self.lockParams(config)));
+                }
+            });
+        },
+
+        /**
+         * Add held locks to the next Heartbeat request
+         */
+        sendLocks: function (e, data) {
+            var self = this;
+            var locks = [];
+
+            $.each(this.locks, function (flyoutId, config) {
+                if (config.lock.held) {
+                    locks.push($.extend({ id: flyoutId }, self.lockParams(config)));
+                }
+            });
+
+            if (locks.length) {
+                data.wp_flyout_locks = locks;
+            }
+        },
+
+        /**
+         * Check Heartbeat lock states for locks another user has taken over
+         */
+        receiveLocks: function (e, data) {
+            var self = this;
+
+            if (!data || !data.wp_flyout_locks) return;
+
+            $.each(data.wp_flyout_locks, function (flyoutId, state) {
+                var config = self.locks[flyoutId];
+
+                if (config && config.lock.held && state.locked) {
+                    self.loseLock($('#' + flyoutId), config, state);
+                }
+            });
+        },
+
+        // =====================================================================
+        // TABS
+        // =====================================================================
+
+        /**
+         * Select the starting tab and track tab changes
+         *
+         * The tab comes from config.tab (trigger data-tab or deep link),
+         * else the last tab used in this flyout during the session.
+         */
+        initTabs: function ($flyout, flyoutId, config) {
+            var self = this;
+
+            if (!$flyout.find('.wp-flyout-tab').length) return;
+
+            var tab = config.tab || this.getRememberedTab(config);
+
+            if (tab && WPFlyout.activateTab($flyout, tab)) {
+                config.tab = tab;
+            }
+
+            this.loadTab($flyout, config, $flyout.find('.wp-flyout-tab.active').data('tab'));
+
+            $(document).on('wpflyout:tab-changed.tabs-' + flyoutId, function (e, data) {
+                if (data.flyoutId !== flyoutId) return;
+
+                self.rememberTab(config, data.tabId);
+                self.loadTab($flyout, config, data.tabId);
+            });
+
+            $(document).on('wpflyout:closed.tabs-' + flyoutId, function (e, data) {
+                if (data.id === flyoutId) {
+                    $(document).off('.tabs-' + flyoutId);
+                }
+            });
+
+            $flyout.on('click', '.wp-flyout-tab-retry', function (e) {
+                e.preventDefault();
+                self.loadTab($flyout, config, $(this).closest('.wp-flyout-tab-content').attr('data-tab-panel'));
+            });
+        },
+
+        /**
+         * Fill in a lazy tab panel from /load-tab the first time it is shown
+         *
+         * Triggers wpflyout:content-loaded so components initialize the new markup.
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @param {Object} config  Flyout config
+         * @param {string} tabId   Tab identifier
+         * @return {Promise<jQuery|null>} Resolves with the panel, or null when loading failed
+         */
+        loadTab: function ($flyout, config, tabId) {
+            var self = this;
+            var $panel = $flyout.find('.wp-flyout-tab-content').filter(function () {
+                return $(this).attr('data-tab-panel') === String(tabId);
+            });
+
+            if (!$panel.is('[data-lazy]')) {
+                return Promise.resolve($panel);
+            }
+
+            if ($panel.data('lazyRequest')) {
+                return $panel.data('lazyRequest');
+            }
+
+            var $target = $panel.children('.wp-flyout-tab-lazy');
+
+            $panel.attr('aria-busy', 'true');
+            $target.html($('<p class="wp-flyout-tab-loading"><span class="spinner is-active"></span></p>')
+                .append(document.createTextNode(__('Loading...', 'wp-flyout'))));
+
+            var request = this.api('/load-tab', {
+                manager: config.manager,
+                flyout: config.flyout,
+                item_id: config.data.id || 0,
+                tab: String(tabId)
+            }, 'POST', { idempotent: true }).then(function (response) {
+                // Fields arriving with the tab are part of the clean state
+                var wasDirty = self.isDirty($flyout);
+
+                $target.html(response.html);
+                $panel.removeAttr('data-lazy aria-busy');
+                self.recordFieldSources($target);
+
+                if (!wasDirty) {
+                    self.markClean($flyout);
+                }
+
+                $(document).trigger('wpflyout:content-loaded', {
+                    id: $flyout.attr('id'),
+                    element: $target[0],
+                    flyout: $flyout[0],
+                    tabId: String(tabId)
+                });
+
+                return $panel;
+            }, function (error) {
+                $panel.removeData('lazyRequest').removeAttr('aria-busy');
+
+                $target.empty().append(
+                    $('<p class="wp-flyout-tab-error"></p>')
+                        .text((error.message || __('Failed to load this tab.', 'wp-flyout')) + ' ')
+                        .append($('<button type="button" class="button-link wp-flyout-tab-retry"></button>')
+                            .text(__('Try again', 'wp-flyout')))
+                );
+
+                return null;
+            });
+
+            $panel.data('lazyRequest', request);
+
+            return request;
+        },
+
+        /**
+         * Remember the active tab for this flyout in sessionStorage
+         */
+        rememberTab: function (config, tabId) {
+            try {
+                window.sessionStorage.setItem(this.tabPrefix + config.manager + '/' + config.flyout, tabId);
+            } catch (e) {
+                // Storage unavailable (private mode, quota) — nothing to remember
+            }
+        },
+
+        /**
+         * Last active tab for this flyout in the current session
+         *
+         * @return {string|null}
+         */
+        getRememberedTab: function (config) {
+            try {
+                return window.sessionStorage.getItem(this.tabPrefix + config.manager + '/' + config.flyout);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        // =====================================================================
+        // BULK EDIT
+        // =====================================================================
+
+        /**
+         * Values of the checked row checkboxes in the trigger's list table
+         *
+         * Uses the list table in the trigger's form, where bulk actions
+         * usually sit, or else the first one on the page.
+         *
+         * @param {jQuery} $btn Bulk trigger
+         * @return {Array<string>}
+         */
+        getSelectedIds: function ($btn) {
+            var $table = $btn.closest('form').find('.wp-list-table');
+
+            if (!$table.length) {
+                $table = $('.wp-list-table');
+            }
+
+            return $table.first()
+                .find('tbody .check-column input[type="checkbox"]:checked')
+                .map(function () {
+                    return this.value;
+                })
+                .get()
+                .filter(function (value) {
+                    return value !== '' && value !== 'on';
+                });
+        },
+
+        /**
+         * Switch a bulk field between "leave unchanged" and editable
+         *
+         * @param {jQuery}  $field  .wp-flyout-bulk-field wrapper
+         * @param {boolean} editing Whether the field will be changed
+         */
+        toggleBulkField: function ($field, editing) {
+            $field.toggleClass('is-unchanged', !editing)
+                .children('fieldset').prop('disabled', !editing);
+
+            if (editing) {
+                $field.children('fieldset').find('input, select, textarea')
+                    .filter(':visible:enabled').first().trigger('focus');
+            }
+        },
+
+        /**
+         * Apply the changed fields to every selected record
+         *
+         * The flyout stays open to show how each record fared.
+         *
+         * @param {jQuery} $flyout  Flyout element
+         * @param {string} flyoutId Flyout element ID
+         * @param {Object} config   Flyout config (itemIds holds the selection)
+         * @return {Promise<Object|null>} Resolves with the /bulk-save response,
+         *                                or null when nothing was sent
+         */
+        handleBulkSave: function ($flyout, flyoutId, config) {
+            var self = this;
+            var $form = $flyout.find('form').first();
+            var $saveBtn = $flyout.find('.wp-flyout-bulk-save');
+            var $changed = $form.find('.wp-flyout-bulk-field').not('.is-unchanged');
+            var fields = [];
+            var formData = {};
+
+            if (!$changed.length) {
+                this.showAlert($flyout, __('Choose at least one field to change.', 'wp-flyout'), 'info');
+                return Promise.resolve(null);
+            }
+
+            var validation = this.validateForm($form);
+            if (!validation.isValid) {
+                WPFlyout.Validation.focusField(validation.firstInvalid);
+                return Promise.resolve(null);
+            }
+
+            // Unchanged fields sit in disabled fieldsets, so only changed ones are collected
+            $changed.each(function () {
+                fields.push($(this).attr('data-bulk-field'));
+                $.extend(formData, self.collectFormData($(this).children('fieldset')));
+            });
+
+            var context = $.extend(this.hookContext(config, $flyout), { ids: config.itemIds });
+
+            this.setButtonState($saveBtn, true, __('Updating...', 'wp-flyout'));
+
+            return this.runBeforeHooks('bulkSave', formData, context)
+                .then(function (data) {
+                    return self.api('/bulk-save', {
+                        manager: config.manager,
+                        flyout: config.flyout,
+                        item_ids: config.itemIds,
+                        fields: fields,
+                        form_data: data,
+                        versions: config.versions || {}
+                    });
+                })
+                .then(function (response) {
+                    self.setButtonState($saveBtn, false);
+                    self.markClean($flyout);
+
+                    // Saved records are compared against their new versions next time
+                    (response.results || []).forEach(function (result) {
+                        if (result.version && config.versions) {
+                            config.versions[result.id] = result.version;
+                        }
+                    });
+
+                    self.showBulkResults($flyout, response.results || []);
+                    self.showAlert($flyout, response.message, response.failed ? 'warning' : 'success');
+                    $flyout.find('.wp-flyout-body').animate({ scrollTop: 0 }, 300);
+
+                    WPFlyout.Hooks.doAction('wpflyout.bulkSave.after', $.extend(context, { response: response }));
+
+                    $(document).trigger('wpflyout:bulk-saved', {
+                        id: flyoutId,
+                        element: $flyout[0],
+                        config: config,
+                        response: response
+                    });
+
+                    if (response.reload) {
+                        setTimeout(function () {
+                            WPFlyout.close(flyoutId);
+                            self.reloadPage();
+                        }, 1500);
+                        return response;
+                    }
+
+                    // Refresh rows in place; records not on this page are left alone
+                    (response.results || []).forEach(function (result) {
+                        if (result.success && result.row_html && self.findRows(config.manager, config.flyout, result.id).length) {
+                            self.updateListTable(config, { item_id: result.id, row_html: result.row_html }, $flyout);
+                        }
+                    });
+
+                    return response;
+                })
+                .catch(function (error) {
+                    self.setButtonState($saveBtn, false);
+
+                    if (error.code !== 'flyout_vetoed' || error.message) {
+                        self.showAlert($flyout, error.message || __('An error occurred', 'wp-flyout'), 'error');
+                    }
+
+                    return null;
+                });
+        },
+
+        /**
+         * List the outcome for each record at the top of the flyout body
+         *
+         * @param {jQuery}        $flyout Flyout element
+         * @param {Array<Object>} results Entries of {id, success, message}
+         */
+        showBulkResults: function ($flyout, results) {
+            var $results = $('<div class="wp-flyout-bulk-results"></div>');
+            var $list = $('<ul></ul>').appendTo($results);
+
+            $('<h3 class="wp-flyout-bulk-results-title"></h3>')
+                .text(__('Results', 'wp-flyout'))
+                .prependTo($results);
+
+            results.forEach(function (result) {
+                $('<li></li>')
+                    .addClass(result.success ? 'is-success' : 'is-error')
+                    .append($('<span class="dashicons" aria-hidden="true"></span>')
+                        .addClass(result.success ? 'dashicons-yes-alt' : 'dashicons-warning'))
+                    /* translators: %s: record ID */
+                    .append($('<strong></strong>').text(sprintf(__('#%s', 'wp-flyout'), result.id)))
+                    .append(document.createTextNode(' ' + (result.message || '')))
+                    .appendTo($list);
+            });
+
+            $flyout.find('.wp-flyout-bulk-results').remove();
+            $flyout.find('.wp-flyout-body').prepend($results);
+        },
+
+        // =====================================================================
+        // SAVE CONFLICTS
+        // =====================================================================
+
+        /**
+         * Resolve a save rejected because the record changed after loading
+         *
+         * Compares the form with the current record, rendered by the server
+         * in the conflict response, and lists the fields that differ. Keep
+         * mine saves the form as it is, take theirs loads the current values
+         * into the form without saving, and merge saves the value picked for
+         * each field (by default, yours where you changed it).
+         *
+         * @param {jQuery} $flyout  Flyout element
+         * @param {string} flyoutId Flyout element ID
+         * @param {Object} config   Flyout config
+         * @param {Object} conflict Error data: version, html, labels
+         * @param {Object} options  handleSave options for the retried save
+         * @return {Promise<Object|null>} Resolves with the /save response when
+         *                                saved straight away, null otherwise
+         */
+        showConflict: function ($flyout, flyoutId, config, conflict, options) {
+            var self = this;
+            var $form = $flyout.find('form').first();
+            var mine = this.collectFormData($form);
+            var theirs = this.parseRecordForm(conflict.html);
+            var original = JSON.parse($flyout.data('formSnapshot') || '{}');
+            var labels = conflict.labels || {};
+
+            var fields = Object.keys(theirs).filter(function (name) {
+                return name !== 'id' && mine.hasOwnProperty(name) && !self.sameValue(mine[name], theirs[name]);
+            });
+
+            // Only data outside the form changed, so saving loses nothing
+            if (!fields.length) {
+                config.version = conflict.version;
+                return this.handleSave($flyout, flyoutId, config, options);
+            }
+
+            var $panel = $('<div class="wp-flyout-conflict" role="alert" tabindex="-1"></div>');
+
+            $('<p class="wp-flyout-conflict-message"></p>')
+                .text(__('Someone else changed this item after you opened it. Choose which values to keep.', 'wp-flyout'))
+                .appendTo($panel);
+
+            var $table = $('<table class="wp-flyout-conflict-table"><thead><tr></tr></thead><tbody></tbody></table>');
+
+            $table.find('thead tr').append(
+                $('<th scope="col"></th>').text(__('Field', 'wp-flyout')),
+                $('<th scope="col"></th>').text(__('Your value', 'wp-flyout')),
+                $('<th scope="col"></th>').text(__('Current value', 'wp-flyout'))
+            );
+
+            fields.forEach(function (name, index) {
+                var changedByMe = !self.sameValue(mine[name], original[name]);
+                var $row = $('<tr></tr>').attr('data-field', name);
+
+                $('<th scope="row"></th>').text(labels[name] || name).appendTo($row);
+
+                ['mine', 'theirs'].forEach(function (side) {
+                    var $radio = $('<input type="radio">')
+                        .attr({ name: flyoutId + '-conflict-' + index, value: side })
+                        .prop('checked', (side === 'mine') === changedByMe);
+
+                    var $value = $('<span class="wp-flyout-conflict-value"></span>')
+                        .text(self.formatConflictValue($form, name, side === 'mine' ? mine[name] : theirs[name]));
+
+                    $('<td></td>').append($('<label></label>').append($radio, ' ', $value)).appendTo($row);
+                });
+
+                $table.find('tbody').append($row);
+            });
+
+            var $actions = $('<div class="wp-flyout-conflict-actions"></div>').append(
+                $('<button type="button" class="button" data-conflict="mine"></button>').text(__('Keep mine', 'wp-flyout')),
+                $('<button type="button" class="button" data-conflict="theirs"></button>').text(__('Take theirs', 'wp-flyout')),
+                $('<button type="button" class="button button-primary" data-conflict="merge"></button>').text(__('Merge', 'wp-flyout'))
+            );
+
+            $panel.append($table, $actions);
+
+            $flyout.find('.wp-flyout-conflict, .wp-flyout-alert').remove();
+            $flyout.find('.wp-flyout-body').prepend($panel).animate({ scrollTop: 0 }, 300);
+            $panel.trigger('focus');
+
+            $panel.on('click', '[data-conflict]', function () {
+                var choice = $(this).data('conflict');
+                var values = {};
+
+                fields.forEach(function (name, index) {
+                    var side = choice === 'merge'
+                        ? $panel.find('input[name="' + flyoutId + '-conflict-' + index + '"]:checked').val()
+                        : choice;
+
+                    if (side === 'theirs') {
+                        values[name] = theirs[name];
+                    }
+                });
+
+                $panel.remove();
+                config.version = conflict.version;
+                self.applyFormData($form, values);
+
+                if (choice !== 'theirs') {
+                    self.handleSave($flyout, flyoutId, config, options).catch($.noop);
+                }
+            });
+
+            $(document).trigger('wpflyout:conflict', {
+                id: flyoutId,
+                element: $flyout[0],
+                config: config,
+                fields: fields
+            });
+
+            return Promise.resolve(null);
+        },
+
+        /**
+         * Collect the form data of a flyout rendered by the server
+         *
+         * @param {string} html Flyout HTML
+         * @return {Object} Form data, as collectFormData returns it
+         */
+        parseRecordForm: function (html) {
+            var $body = $($.parseHTML($.trim(html || ''))).filter('.wp-flyout').first().find('.wp-flyout-body');
+            var $form = $body.find('form').first();
+
+            if (!$form.length) {
+                $form = $('<form></form>').append($body.children());
+            }
+
+            // Amounts are read back the same way as in the open form
+            WPFlyout.Money.localize($form);
+
+            return this.collectFormData($form);
+        },
+
+        /**
+         * Compare two collected form values
+         */
+        sameValue: function (a, b) {
+            return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+        },
+
+        /**
+         * Readable text for a form value, using option labels for selects
+         *
+         * @param {jQuery} $form Form the field belongs to
+         * @param {string} name  Field name
+         * @param {*}      value Collected value
+         * @return {string}
+         */
+        formatConflictValue: function ($form, name, value) {
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+                return __('(empty)', 'wp-flyout');
+            }
+
+            var $select = $form.find('select').filter(function () {
+                return this.name === name || this.name === name + '[]';
+            }).first();
+
+            if ($select.length && (typeof value !== 'object' || Array.isArray(value))) {
+                return [].concat(value).map(function (item) {
+                    var $option = $select.find('option').filter(function () {
+                        return this.value === String(item);
+                    }).first();
+
+                    return $option.length ? $option.text().trim() : String(item);
+                }).join(', ');
+            }
+
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        },
+
+        // =====================================================================
+        // DRAFTS
+        // =====================================================================
+
+        /**
+         * Autosave the form to localStorage while dirty and offer a restore on open
+         *
+         * Flyouts registered with 'autosave' => false carry the
+         * wp-flyout-no-autosave class and are skipped.
+         */
+        initDrafts: function ($flyout, flyoutId, config) {
+            var self = this;
+            var timer = null;
+
+            if (!this.storageAvailable() || $flyout.hasClass('wp-flyout-no-autosave')) {
+                return;
+            }
+
+            $flyout.data('draftKey', this.draftKey(config));
+
+            // Runs after the clean snapshot taken in initDirtyTracking
+            $flyout.one('flyout:ready', function () {
+                self.offerDraft($flyout);
+            });
+
+            $flyout.on('input change', 'form', function () {
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    self.saveDraft($flyout);
+                }, self.drafts.delay);
+            });
+
+            // Closing is only allowed once the form is clean or discarded
+            $(document).on('wpflyout:closed.draft-' + flyoutId, function (e, data) {
+                if (data.id === flyoutId) {
+                    clearTimeout(timer);
+                    self.clearDraft($flyout);
+                    $(document).off('wpflyout:closed.draft-' + flyoutId);
+                }
+            });
+        },
+
+        /**
+         * Storage key for a flyout's draft: manager/flyout/item_id
+         */
+        draftKey: function (config) {
+            return this.drafts.prefix + [config.manager, config.flyout, config.data.id || 'new'].join('/');
+        },
+
+        /**
+         * Whether localStorage can be used (disabled in some privacy modes)
+         */
+        storageAvailable: function () {
+            try {
+                var test = this.drafts.prefix + 'test';
+                window.localStorage.setItem(test, '1');
+                window.localStorage.removeItem(test);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Write the current form state as a draft, or drop it once clean
+         */
+        saveDraft: function ($flyout) {
+            var self = this;
+            var key = $flyout.data('draftKey');
+
+            if (!key) {
+                return;
+            }
+
+            if (!this.isDirty($flyout)) {
+                this.clearDraft($flyout);
+                return;
+            }
+
+            var $form = $flyout.find('form').first();
+            var data = this.collectFormData($form);
+
+            // Never persist passwords to storage
+            $form.find('input[type="password"][name]').each(function () {
+                self.unsetDataValue(data, this.name);
+            });
+
+            try {
+                window.localStorage.setItem(key, JSON.stringify({
+                    savedAt: Date.now(),
+                    data: data
+                }));
+            } catch (e) {
+                // Quota exceeded — autosave is best effort
+            }
+        },
+
+        /**
+         * Read a stored draft, discarding expired or unreadable entries
+         */
+        getDraft: function (key) {
+            var draft = null;
+
+            try {
+                draft = JSON.parse(window.localStorage.getItem(key));
+            } catch (e) {
+                draft = null;
+            }
+
+            if (!draft || !draft.data || Date.now() - draft.savedAt > this.drafts.maxAge) {
+                window.localStorage.removeItem(key);
+                return null;
+            }
+
+            return draft;
+        },
+
+        /**
+         * Remove the draft for a flyout
+         */
+        clearDraft: function ($flyout) {
+            var key = $flyout.data('draftKey');
+
+            if (key) {
+                window.localStorage.removeItem(key);
+            }
+        },
+
+        /**
+         * Show the "Restore unsaved draft?" prompt when a draft differs from the loaded record
+         */
+        offerDraft: function ($flyout) {
+            var self = this;
+            var draft = this.getDraft($flyout.data('draftKey'));
+
+            if (!draft) {
+                return;
+            }
+
+            if (JSON.stringify(draft.data) === $flyout.data('formSnapshot')) {
+                this.clearDraft($flyout);
+                return;
+            }
+
+            var $prompt = $(
+                '<div class="wp-flyout-draft-prompt" role="alert">' +
+                '<p class="wp-flyout-draft-message"></p>' +
+                '<div class="wp-flyout-draft-actions">' +
+                '<button type="button" class="button" data-action="discard-draft"></button>' +
+                '<button type="button" class="button button-primary" data-action="restore-draft"></button>' +
+                '</div>' +
+                '</div>'
+            );
+
+            $prompt.find('.wp-flyout-draft-message').text(
+                /* translators: %s: time the draft was saved */
+                sprintf(__('Restore unsaved draft from %s?', 'wp-flyout'), this.formatDraftTime(draft.savedAt))
+            );
+            $prompt.find('[data-action="discard-draft"]').text(__('Discard', 'wp-flyout'));
+            $prompt.find('[data-action="restore-draft"]').text(__('Restore', 'wp-flyout'));
+
+            $prompt.on('click', '[data-action="restore-draft"]', function () {
+                $prompt.remove();
+                self.restoreDraft($flyout, draft.data);
+            });
+
+            $prompt.on('click', '[data-action="discard-draft"]', function () {
+                $prompt.remove();
+                self.clearDraft($flyout);
+            });
+
+            $flyout.find('.wp-flyout-body').prepend($prompt);
+        },
+
+        /**
+         * Format a draft timestamp: time only for today, date and time otherwise
+         */
+        formatDraftTime: function (timestamp) {
+            var date = new Date(timestamp);
+
+            if (date.toDateString() === new Date().toDateString()) {
+                return date.toLocaleTimeString(wpFlyout.locale, { hour: '2-digit', minute: '2-digit' });
             }
 
-            return fetch(wpFlyout.restUrl + endpoint, options)
-                .then(function (response) {
-                    return response.json().then(function (json) {
-                        if (!response.ok) {
-                            throw new Error(json.message || 'Request failed');
-                        }
-                        return json;
-                    });
-                });
+            return date.toLocaleString(wpFlyout.locale, {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
         },
 
         /**
-         * Handle trigger click
+         * Hydrate the form from draft data
+         *
+         * Repeater components (feature-list, key-value-list, file-manager)
+         * listen for wpflyout:draft-restore on the form and rebuild their rows
+         * first, so the values below have inputs to land in.
          */
-        handleTrigger: function (e) {
-            e.preventDefault();
+        restoreDraft: function ($flyout, data) {
+            var $form = $flyout.find('form').first();
 
-            var $btn = $(e.currentTarget);
-            var config = this.extractConfig($btn);
+            $form.trigger('wpflyout:draft-restore', [data]);
+            this.applyFormData($form, data);
 
-            this.loadFlyout(config);
+            $flyout.trigger('wpflyout:draft-restored', { data: data });
         },
 
         /**
-         * Extract configuration from trigger button
+         * Set form control values from a collectFormData-shaped object
          */
-        extractConfig: function ($btn) {
-            var config = {
-                flyout: $btn.data('flyout'),
-                manager: $btn.data('flyout-manager'),
-                data: {}
-            };
+        applyFormData: function ($form, data) {
+            var self = this;
+            var $controls = $form.find('input, select, textarea').filter(function () {
+                return !!this.name && this.type !== 'file' && this.type !== 'password';
+            });
 
-            // Collect additional data attributes
-            $.each($btn[0].dataset, function (key, value) {
-                if (['flyout', 'flyoutManager'].indexOf(key) === -1) {
-                    config.data[key] = value;
+            this.flattenFormData(data).forEach(function (entry) {
+                var $matches = $controls.filter(function () {
+                    return this.name === entry.name;
+                });
+
+                if ($matches.length) {
+                    self.setControlValue($matches, entry.value);
                 }
             });
-
-            return config;
         },
 
         /**
-         * Load flyout via REST API
+         * Flatten nested form data back into field name/value pairs
+         *
+         * Scalar arrays are emitted under every naming style they may have
+         * come from (name, name[] and name[0]); only matching controls apply.
          */
-        loadFlyout: function (config) {
+        flattenFormData: function (value, prefix, out) {
             var self = this;
+            out = out || [];
 
-            var requestData = {
-                manager: config.manager,
-                flyout: config.flyout,
-                item_id: config.data.id || 0
-            };
+            var isScalarArray = Array.isArray(value) && value.every(function (item) {
+                return item === null || typeof item !== 'object';
+            });
 
-            // Pass through title/subtitle overrides
-            if (config.data.title) {
-                requestData.title = config.data.title;
-            }
-            if (config.data.subtitle) {
-                requestData.subtitle = config.data.subtitle;
+            if (prefix && isScalarArray) {
+                out.push({ name: prefix, value: value });
+                out.push({ name: prefix + '[]', value: value });
+                value.forEach(function (item, index) {
+                    out.push({ name: prefix + '[' + index + ']', value: item });
+                });
+                return out;
             }
 
-            this.api('/load', requestData)
-                .then(function (response) {
-                    if (response.success) {
-                        self.displayFlyout(response.html, config);
-                    } else {
-                        alert(response.message || 'Failed to load flyout');
-                    }
-                })
-                .catch(function (error) {
-                    alert(error.message || 'Failed to load flyout');
+            if (value && typeof value === 'object') {
+                Object.keys(value).forEach(function (key) {
+                    self.flattenFormData(value[key], prefix ? prefix + '[' + key + ']' : key, out);
                 });
+                return out;
+            }
+
+            out.push({ name: prefix, value: value });
+            return out;
         },
 
         /**
-         * Display flyout and setup handlers
+         * Set the value of one or more controls sharing a name
          */
-        displayFlyout: function (html, config) {
-            // Remove existing flyouts and add new one
-            $('.wp-flyout').remove();
-            $('body').append(html);
+        setControlValue: function ($matches, value) {
+            var values = [].concat(value).map(function (item) {
+                return item === null || item === undefined ? '' : String(item);
+            });
+            var first = $matches[0];
 
-            var $flyout = $('.wp-flyout').last();
-            var flyoutId = $flyout.attr('id');
+            if (first.type === 'checkbox' || first.type === 'radio') {
+                $matches.each(function () {
+                    this.checked = values.indexOf(this.value) !== -1;
+                });
+            } else if (first.tagName === 'SELECT') {
+                $matches.each(function () {
+                    var $select = $(this);
+                    var wanted = this.multiple ? values : values.slice(0, 1);
 
-            // Open it
-            WPFlyout.open(flyoutId);
+                    // AJAX selects only render options for the saved value
+                    wanted.forEach(function (val) {
+                        if (val !== '' && !$select.find('option').filter(function () {
+                            return this.value === val;
+                        }).length) {
+                            $select.append(new Option(val, val));
+                        }
+                    });
 
-            // Store config
-            $flyout.data(config);
+                    $select.val(this.multiple ? wanted : wanted[0]);
 
-            // Ensure form wrapper exists
-            this.ensureForm($flyout);
+                    if ($select.hasClass('wp-flyout-ajax-select') && window.WPFlyoutAjaxSelect) {
+                        WPFlyoutAjaxSelect.refresh($select);
+                    }
+                });
+            } else if ($matches.length > 1) {
+                // Repeated inputs such as feature-list name[]
+                $matches.each(function (index) {
+                    $(this).val(values[index] !== undefined ? values[index] : '');
+                });
+            } else {
+                $matches.val(values[0] !== undefined ? values[0] : '');
+            }
 
-            // Bind handlers
-            this.bindHandlers($flyout, flyoutId, config);
+            $matches.trigger('change');
         },
 
         /**
-         * Ensure form wrapper exists
+         * Split a field name into data keys: files[2][url] → ['files', '2', 'url']
          */
-        ensureForm: function ($flyout) {
-            if (!$flyout.find('form').length) {
-                var $body = $flyout.find('.wp-flyout-body');
-                var $form = $('<form class="wp-flyout-form" novalidate></form>');
-                $form.append($body.children());
-                $body.append($form);
-            }
+        parseFieldName: function (name) {
+            return name.replace(/\[\]$/, '').replace(/\]/g, '').split('[');
         },
 
         /**
-         * Bind event handlers
+         * Read a value from form data by field name (supports name[a][b])
          */
-        bindHandlers: function ($flyout, flyoutId, config) {
-            var self = this;
-
-            // Save button
-            $flyout.on('click', '.wp-flyout-save', function (e) {
-                e.preventDefault();
-                self.handleSave($flyout, flyoutId, config);
-            });
+        getDataValue: function (data, name) {
+            var keys = this.parseFieldName(name);
+            var current = data;
 
-            // Delete button
-            $flyout.on('click', '.wp-flyout-delete', function (e) {
-                e.preventDefault();
-                if (confirm('Are you sure you want to delete this item?')) {
-                    self.handleDelete($flyout, flyoutId, config);
+            for (var i = 0; i < keys.length; i++) {
+                if (current === null || typeof current !== 'object' || !(keys[i] in current)) {
+                    return undefined;
                 }
-            });
-
-            // Close button
-            $flyout.on('click', '.wp-flyout-close', function (e) {
-                e.preventDefault();
-                WPFlyout.close(flyoutId);
-            });
+                current = current[keys[i]];
+            }
 
-            // Clear error class on change
-            $flyout.on('input change', '.error', function () {
-                $(this).removeClass('error');
-            });
+            return current;
         },
 
         /**
-         * Validate form
+         * Remove a value from form data by field name (supports name[a][b])
          */
-        validateForm: function ($form) {
-            var isValid = true;
-            var firstInvalid = null;
+        unsetDataValue: function (data, name) {
+            var keys = this.parseFieldName(name);
+            var current = data;
 
-            $form.find('[required]:visible:enabled').each(function () {
-                var $field = $(this);
-                var value = $field.val();
-
-                if (!value || (Array.isArray(value) && !value.length)) {
-                    isValid = false;
-                    $field.addClass('error');
-                    firstInvalid = firstInvalid || $field;
-                } else {
-                    $field.removeClass('error');
+            for (var i = 0; i < keys.length - 1; i++) {
+                if (current === null || typeof current !== 'object') {
+                    return;
                 }
-            });
+                current = current[keys[i]];
+            }
+
+            if (current && typeof current === 'object') {
+                delete current[keys[keys.length - 1]];
+            }
+        },
 
-            return { isValid: isValid, firstInvalid: firstInvalid };
+        /**
+         * Validate form
+         *
+         * Delegates to WPFlyout.Validation, which shows inline errors per field.
+         */
+        validateForm: function ($form) {
+            return WPFlyout.Validation.validateForm($form);
         },
 
         /**
@@ -221,10 +2625,22 @@
         collectFormData: function ($form) {
             var data = {};
             var serialized = $form.serializeArray();
+            var amounts = {};
+
+            // Amount inputs show localized text ("1.234,50") but submit "1234.50"
+            $form.find(WPFlyout.Money.inputSelector).each(function () {
+                if (this.name) {
+                    amounts[this.name] = WPFlyout.Money.normalizeInput($(this));
+                }
+            });
 
             serialized.forEach(function (item) {
                 var name = item.name;
 
+                if (amounts.hasOwnProperty(name)) {
+                    item.value = amounts[name];
+                }
+
                 // Handle array fields: name[] or name[key]
                 if (name.indexOf('[') !== -1) {
                     var keys = name.replace(/\]/g, '').split('[');
@@ -276,9 +2692,17 @@
 
         /**
          * Handle save action
+         *
+         * @param {jQuery} $flyout  Flyout element
+         * @param {string} flyoutId Flyout element ID
+         * @param {Object} config   Flyout config
+         * @param {Object} options  Optional: close (default true) closes the flyout after saving
+         * @return {Promise<Object>} Resolves with the /save response, rejects
+         *                           when validation or the save fails
          */
-        handleSave: function ($flyout, flyoutId, config) {
+        handleSave: function ($flyout, flyoutId, config, options) {
             var self = this;
+            options = $.extend({ close: true }, options);
             var $form = $flyout.find('form').first();
             var $saveBtn = $flyout.find('.wp-flyout-save');
             var $body = $flyout.find('.wp-flyout-body');
@@ -286,51 +2710,168 @@
             // Validate
             var validation = this.validateForm($form);
             if (!validation.isValid) {
-                $body.animate({ scrollTop: 0 }, 300);
-                this.showAlert($flyout, 'Please fill in all required fields.', 'error');
-                if (validation.firstInvalid) {
-                    validation.firstInvalid.focus();
-                }
-                return;
+                WPFlyout.Validation.focusField(validation.firstInvalid);
+
+                var invalid = new Error(__('Validation failed', 'wp-flyout'));
+                invalid.code = 'flyout_validation_failed';
+                invalid.errors = validation.errors;
+                return Promise.reject(invalid);
             }
 
             // Collect form data as object
             var formData = this.collectFormData($form);
 
+            var context = this.hookContext(config, $flyout);
+
             // Save
-            this.setButtonState($saveBtn, true, 'Saving...');
+            this.setButtonState($saveBtn, true, __('Saving...', 'wp-flyout'));
 
-            this.api('/save', {
-                manager: config.manager,
-                flyout: config.flyout,
-                item_id: config.data.id || formData.id || 0,
-                form_data: formData
-            })
+            return this.runBeforeHooks('save', formData, context)
+                .then(function (data) {
+                    var request = {
+                        manager: config.manager,
+                        flyout: config.flyout,
+                        item_id: config.data.id || data.id || 0,
+                        form_data: data
+                    };
+
+                    // Lets the server reject the save if the record changed meanwhile
+                    if (config.version) {
+                        request.version = config.version;
+                    }
+
+                    return self.api('/save', request);
+                })
                 .then(function (response) {
                     self.setButtonState($saveBtn, false);
 
-                    if (response.success) {
-                        $body.animate({ scrollTop: 0 }, 300);
-                        var message = response.message || 'Saved successfully!';
-                        self.showAlert($flyout, message, 'success');
+                    if (!response.success) {
+                        self.showSaveError($flyout, $form, response.message, response.field_errors);
+
+                        var failed = new Error(response.message || __('An error occurred', 'wp-flyout'));
+                        failed.data = { field_errors: response.field_errors };
+                        throw failed;
+                    }
+
+                    if (response.version) {
+                        config.version = response.version;
+                    }
+
+                    $flyout.find('.wp-flyout-conflict').remove();
+                    self.clearDraft($flyout);
+
+                    // A flyout kept open after creating a record goes on to update it
+                    if (response.item_id && !config.data.id) {
+                        self.adoptRecord($flyout, flyoutId, config, response);
+                    }
 
-                        // Always close and reload after delay
+                    self.markClean($flyout);
+
+                    $body.animate({ scrollTop: 0 }, 300);
+                    var message = response.message || __('Saved successfully!', 'wp-flyout');
+                    self.showAlert($flyout, message, 'success');
+
+                    WPFlyout.Hooks.doAction('wpflyout.save.after', $.extend(context, { response: response }));
+
+                    $(document).trigger('wpflyout:saved', {
+                        id: flyoutId,
+                        element: $flyout[0],
+                        config: config,
+                        response: response
+                    });
+
+                    if (response.reload) {
                         setTimeout(function () {
                             WPFlyout.close(flyoutId);
-                            location.reload();
+                            self.reloadPage();
                         }, 1500);
-                    } else {
-                        $body.animate({ scrollTop: 0 }, 300);
-                        self.showAlert($flyout, response.message || 'An error occurred', 'error');
+                        return response;
                     }
-                })
-                .catch(function (error) {
+
+                    self.updateListTable(config, response, $flyout);
+
+                    // Let the parent flyout refresh fields referencing this record
+                    if (config.parentId) {
+                        $('#' + config.parentId).trigger('wpflyout:child-saved', {
+                            id: flyoutId,
+                            config: config,
+                            response: response
+                        });
+                    }
+
+                    if (options.close) {
+                        setTimeout(function () {
+                            WPFlyout.close(flyoutId);
+                        }, 1500);
+                    }
+
+                    return response;
+                }, function (error) {
                     self.setButtonState($saveBtn, false);
-                    $body.animate({ scrollTop: 0 }, 300);
-                    self.showAlert($flyout, error.message || 'An error occurred', 'error');
+
+                    if (error.code === 'flyout_conflict') {
+                        return self.showConflict($flyout, flyoutId, config, error.data, options).then(function (response) {
+                            if (!response) {
+                                throw error;
+                            }
+                            return response;
+                        });
+                    }
+
+                    if (error.code !== 'flyout_vetoed' || error.message) {
+                        self.showSaveError($flyout, $form, error.message, error.data && error.data.field_errors);
+                    }
+
+                    if (error.code === 'flyout_locked') {
+                        self.loseLock($flyout, config, error.data.lock);
+                    }
+
+                    throw error;
                 });
         },
 
+        /**
+         * Point a new-record flyout at the record its first save created
+         *
+         * Later saves update that record, and the draft key follows the new ID.
+         * When locking is on, the lock /save took on the record is tracked
+         * like one taken by /load.
+         */
+        adoptRecord: function ($flyout, flyoutId, config, response) {
+            config.data.id = response.item_id;
+            $flyout.find('input[name="id"]').val(response.item_id);
+
+            if ($flyout.data('draftKey')) {
+                $flyout.data('draftKey', this.draftKey(config));
+            }
+
+            if (response.lock && !config.lock) {
+                config.lock = response.lock;
+                this.initLock($flyout, flyoutId, config);
+            }
+        },
+
+        /**
+         * Show a failed save, marking individual fields when the server sent field_errors
+         */
+        showSaveError: function ($flyout, $form, message, fieldErrors) {
+            var result = fieldErrors ? WPFlyout.Validation.showFieldErrors($form, fieldErrors) : null;
+            var alertMessage = message || __('An error occurred', 'wp-flyout');
+
+            // Errors for fields not in the form would otherwise be lost
+            if (result && result.unmatched.length) {
+                alertMessage += ' ' + result.unmatched.join(' ');
+            }
+
+            this.showAlert($flyout, alertMessage, 'error');
+
+            if (result && result.firstInvalid) {
+                WPFlyout.Validation.focusField(result.firstInvalid);
+            } else {
+                $flyout.find('.wp-flyout-body').animate({ scrollTop: 0 }, 300);
+            }
+        },
+
         /**
          * Handle delete action
          */
@@ -340,34 +2881,212 @@
             var deleteId = $flyout.find('input[name="id"]').val() || config.data.id;
             var $body = $flyout.find('.wp-flyout-body');
 
-            this.setButtonState($deleteBtn, true, 'Deleting...');
+            var context = this.hookContext(config, $flyout);
 
-            this.api('/delete', {
+            this.setButtonState($deleteBtn, true, __('Deleting...', 'wp-flyout'));
+
+            this.runBeforeHooks('delete', {
                 manager: config.manager,
                 flyout: config.flyout,
                 item_id: deleteId
-            })
+            }, context)
+                .then(function (data) {
+                    return self.api('/delete', data);
+                })
                 .then(function (response) {
                     if (response.success) {
-                        var message = response.message || 'Deleted successfully!';
+                        $flyout.removeData('formSnapshot');
+                        self.clearDraft($flyout);
+                        var message = response.message || __('Deleted successfully!', 'wp-flyout');
                         self.showAlert($flyout, message, 'success');
                         $body.animate({ scrollTop: 0 }, 300);
 
+                        WPFlyout.Hooks.doAction('wpflyout.delete.after', $.extend(context, { response: response }));
+
+                        $(document).trigger('wpflyout:deleted', {
+                            id: flyoutId,
+                            element: $flyout[0],
+                            config: config,
+                            response: response
+                        });
+
+                        if (response.reload) {
+                            setTimeout(function () {
+                                WPFlyout.close(flyoutId);
+                                self.reloadPage();
+                            }, 1000);
+                            return;
+                        }
+
+                        self.updateListTable(config, $.extend({ item_id: deleteId }, response));
+
                         setTimeout(function () {
                             WPFlyout.close(flyoutId);
-                            location.reload();
                         }, 1000);
                     } else {
                         self.setButtonState($deleteBtn, false);
-                        self.showAlert($flyout, response.message || 'Failed to delete', 'error');
+                        self.showAlert($flyout, response.message || __('Failed to delete', 'wp-flyout'), 'error');
                         $body.animate({ scrollTop: 0 }, 300);
                     }
                 })
                 .catch(function (error) {
                     self.setButtonState($deleteBtn, false);
+
+                    if (error.code === 'flyout_vetoed' && !error.message) {
+                        return;
+                    }
+
                     $body.animate({ scrollTop: 0 }, 300);
-                    self.showAlert($flyout, error.message || 'Failed to delete', 'error');
+                    self.showAlert($flyout, error.message || __('Failed to delete', 'wp-flyout'), 'error');
+
+                    if (error.code === 'flyout_locked') {
+                        self.loseLock($flyout, config, error.data.lock);
+                    }
+                });
+        },
+
+        /**
+         * Refresh list table rows after a save or delete
+         *
+         * Replaces rows with the returned row HTML, inserts rows for newly
+         * created records, or removes rows when the record was deleted.
+         *
+         * @param {Object} config   Flyout config
+         * @param {Object} response REST response (item_id, row_html, removed)
+         * @param {jQuery} $flyout  Optional flyout whose focus target should follow the new row
+         */
+        updateListTable: function (config, response, $flyout) {
+            var self = this;
+            var $rows = this.findRows(config.manager, config.flyout, response.item_id);
+
+            if (response.removed) {
+                if (!$rows.length) return;
+
+                $rows.fadeOut(300, function () {
+                    var $tbody = $(this).closest('tbody');
+                    $(this).remove();
+                    self.ensureNoItemsRow($tbody);
+                });
+                this.updateCount(-$rows.length);
+                return;
+            }
+
+            if (!response.row_html) return;
+
+            if ($rows.length) {
+                $rows.each(function () {
+                    var $newRow = $(response.row_html);
+                    var hadFocusTarget = $flyout && $.contains(this, $flyout.data('returnFocus'));
+
+                    $(this).replaceWith($newRow);
+                    self.highlightRow($newRow);
+
+                    // The original trigger is gone — return focus to its replacement
+                    if (hadFocusTarget) {
+                        var $trigger = self.findTriggers($newRow, config.manager, config.flyout, response.item_id).first();
+
+                        if ($trigger.length) {
+                            $flyout.data('returnFocus', $trigger[0]);
+                        }
+                    }
                 });
+                return;
+            }
+
+            // New record — add it to the top of the core list table body
+            var $list = $('#the-list');
+            if (!$list.length) return;
+
+            $list.find('tr.no-items').remove();
+
+            var $newRow = $(response.row_html);
+            $list.prepend($newRow);
+            this.highlightRow($newRow);
+            this.updateCount(1);
+        },
+
+        /**
+         * Find list table rows containing a trigger for this record
+         *
+         * @param {string}        manager Manager prefix
+         * @param {string}        flyout  Flyout ID
+         * @param {string|number} itemId  Record ID
+         * @return {jQuery} Matching rows
+         */
+        findRows: function (manager, flyout, itemId) {
+            if (!itemId) return $();
+
+            var self = this;
+
+            return $('.wp-list-table > tbody > tr').filter(function () {
+                return self.findTriggers($(this), manager, flyout, itemId).length > 0;
+            });
+        },
+
+        /**
+         * Find triggers for a specific flyout and record within a container
+         *
+         * @param {jQuery}        $scope  Container to search
+         * @param {string}        manager Manager prefix
+         * @param {string}        flyout  Flyout ID
+         * @param {string|number} itemId  Record ID
+         * @return {jQuery} Matching triggers
+         */
+        findTriggers: function ($scope, manager, flyout, itemId) {
+            var id = String(itemId);
+
+            return $scope.find('.wp-flyout-trigger').filter(function () {
+                var data = this.dataset;
+                return data.flyoutManager === manager &&
+                    data.flyout === flyout &&
+                    data.id === id;
+            });
+        },
+
+        /**
+         * Update the "N items" counters in the list table navigation
+         *
+         * @param {number} delta Change in item count
+         */
+        updateCount: function (delta) {
+            $('.tablenav .displaying-num').each(function () {
+                var $num = $(this);
+                var text = $num.text();
+                var match = text.match(/\d(?:[\d,.\s]*\d)?/);
+
+                if (!match) return;
+
+                var current = parseInt(match[0].replace(/\D/g, ''), 10) || 0;
+                $num.text(text.replace(match[0], String(Math.max(0, current + delta))));
+            });
+        },
+
+        /**
+         * Show the list table empty row when the last row is removed
+         *
+         * @param {jQuery} $tbody List table body
+         */
+        ensureNoItemsRow: function ($tbody) {
+            if (!$tbody.length || $tbody.children('tr').length) return;
+
+            var columns = $tbody.closest('table').find('thead th:visible, thead td:visible').length || 1;
+
+            $tbody.append(
+                $('<tr class="no-items"><td class="colspanchange"></td></tr>')
+                    .find('td').attr('colspan', columns).text(__('No items found.', 'wp-flyout')).end()
+            );
+        },
+
+        /**
+         * Briefly highlight a refreshed row
+         *
+         * @param {jQuery} $row Row element
+         */
+        highlightRow: function ($row) {
+            $row.addClass('wp-flyout-row-updated');
+            setTimeout(function () {
+                $row.removeClass('wp-flyout-row-updated');
+            }, 1500);
         },
 
         /**
@@ -396,7 +3115,7 @@
                 $btn.data('original-text', $btn.text());
                 $btn.prop('disabled', true).text(text);
             } else {
-                $btn.prop('disabled', false).text($btn.data('original-text') || 'Save');
+                $btn.prop('disabled', false).text($btn.data('original-text') || __('Save', 'wp-flyout'));
             }
         }
     };
@@ -406,4 +3125,7 @@
         WPFlyoutManager.init();
     });
 
+    // Export for external use
+    window.WPFlyoutManager = WPFlyoutManager;
+
 })(jQuery);
\ No newline at end of file
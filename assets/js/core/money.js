@@ -0,0 +1,403 @@
+/**
+ * Money Core JavaScript
+ *
+ * Currency formatting and parsing shared by the pricing components. Amounts
+ * are stored in the currency's smallest unit (cents, yen, fils) and shown
+ * in the admin user's locale (wpFlyout.locale).
+ *
+ * Markup hooks, applied whenever a flyout opens:
+ * - input[data-money="EUR"]    Amount input; shown localized, submitted as "1234.50"
+ * - [data-money-amount="1250"] Element whose text is the formatted amount
+ * - [data-money-symbol="EUR"]  Element whose text is the currency symbol
+ *
+ * Currency for the last two comes from their own data-currency or the
+ * closest ancestor with one.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.Money = {
+
+        /**
+         * ISO 4217 currencies whose minor unit is not 1/100
+         *
+         * @type {Object<string, number>}
+         */
+        exponents: {
+            BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+            RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+            BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+            CLF: 4, UYW: 4
+        },
+
+        /**
+         * Selector for amount inputs
+         *
+         * @type {string}
+         */
+        inputSelector: 'input[data-money]',
+
+        /**
+         * Cached Intl.NumberFormat instances
+         *
+         * @type {Object<string, Intl.NumberFormat>}
+         */
+        formatters: {},
+
+        /**
+         * Cached separators keyed by locale
+         *
+         * @type {Object<string, Object>}
+         */
+        separators: {},
+
+        /**
+         * Initialize
+         */
+        init: function () {
+            const self = this;
+
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
+                self.localize($(data.element));
+            });
+
+            $(document).on('wpflyout:draft-restored', '.wp-flyout', function () {
+                self.localize($(this));
+            });
+
+            // Tidy typed amounts into the locale's format
+            $(document).on('blur', '.wp-flyout ' + this.inputSelector, function () {
+                self.localizeInput($(this), self.parse($(this).val()));
+            });
+        },
+
+        // =====================================================================
+        // CURRENCY DATA
+        // =====================================================================
+
+        /**
+         * Locale used for formatting
+         *
+         * @return {string|undefined}
+         */
+        getLocale: function () {
+            return (window.wpFlyout && wpFlyout.locale) || undefined;
+        },
+
+        /**
+         * Number of decimal places in a currency's minor unit
+         *
+         * @param {string} currency ISO 4217 code
+         * @return {number}
+         */
+        getExponent: function (currency) {
+            const code = String(currency || '').toUpperCase();
+            return this.exponents.hasOwnProperty(code) ? this.exponents[code] : 2;
+        },
+
+        /**
+         * Currency symbol in the current locale, e.g. "€" or "CA$"
+         *
+         * @param {string} currency ISO 4217 code
+         * @return {string}
+         */
+        getSymbol: function (currency) {
+            try {
+                const part = this.getFormatter(currency).formatToParts(0).find(function (p) {
+                    return p.type === 'currency';
+                });
+                return part ? part.value : String(currency);
+            } catch (e) {
+                return String(currency);
+            }
+        },
+
+        /**
+         * Group and decimal separators for the current locale
+         *
+         * @return {{group: string, decimal: string}}
+         */
+        getSeparators: function () {
+            const locale = this.getLocale() || '';
+
+            if (!this.separators[locale]) {
+                const result = { group: ',', decimal: '.' };
+
+                try {
+                    new Intl.NumberFormat(this.getLocale()).formatToParts(1000.5).forEach(function (part) {
+                        if (part.type === 'group' || part.type === 'decimal') {
+                            result[part.type] = part.value;
+                        }
+                    });
+                } catch (e) {
+                    // Keep the defaults
+                }
+
+                this.separators[locale] = result;
+            }
+
+            return this.separators[locale];
+        },
+
+        // =====================================================================
+        // CONVERSION
+        // =====================================================================
+
+        /**
+         * Convert a decimal amount to the smallest unit (12.5 USD -> 1250)
+         *
+         * @param {number} amount   Decimal amount
+         * @param {string} currency ISO 4217 code
+         * @return {number}
+         */
+        toMinor: function (amount, currency) {
+            const scaled = (Number(amount) || 0) * Math.pow(10, this.getExponent(currency));
+
+            // toPrecision absorbs float noise such as 1.005 * 100 = 100.49999
+            return Math.round(parseFloat(scaled.toPrecision(15)));
+        },
+
+        /**
+         * Convert the smallest unit to a decimal amount (1250 USD -> 12.5)
+         *
+         * @param {number} minor    Amount in the smallest unit
+         * @param {string} currency ISO 4217 code
+         * @return {number}
+         */
+        fromMinor: function (minor, currency) {
+            return (parseInt(minor, 10) || 0) / Math.pow(10, this.getExponent(currency));
+        },
+
+        // =====================================================================
+        // FORMATTING
+        // =====================================================================
+
+        /**
+         * Get a cached currency formatter
+         *
+         * @param {string} currency ISO 4217 code
+         * @return {Intl.NumberFormat}
+         */
+        getFormatter: function (currency) {
+            const code = String(currency || 'USD').toUpperCase();
+            const key = (this.getLocale() || '') + '|' + code;
+
+            if (!this.formatters[key]) {
+                const exponent = this.getExponent(code);
+
+                this.formatters[key] = new Intl.NumberFormat(this.getLocale(), {
+                    style: 'currency',
+                    currency: code,
+                    minimumFractionDigits: exponent,
+                    maximumFractionDigits: exponent
+                });
+            }
+
+            return this.formatters[key];
+        },
+
+        /**
+         * Format a smallest-unit amount for display (1250, 'EUR' -> "12,50 €")
+         *
+         * @param {number} minor    Amount in the smallest unit
+         * @param {string} currency ISO 4217 code
+         * @return {string}
+         */
+        format: function (minor, currency) {
+            const amount = this.fromMinor(minor, currency);
+
+            try {
+                return this.getFormatter(currency).format(amount);
+            } catch (e) {
+                // Unknown currency code
+                return String(currency || '') + ' ' + amount.toFixed(this.getExponent(currency));
+            }
+        },
+
+        /**
+         * Format a plain number in the locale, without grouping (1234.5 -> "1234,50")
+         *
+         * @param {number} value    Number to format
+         * @param {number} decimals Fixed number of decimals
+         * @return {string}
+         */
+        formatNumber: function (value, decimals) {
+            try {
+                return new Intl.NumberFormat(this.getLocale(), {
+                    useGrouping: false,
+                    minimumFractionDigits: decimals,
+                    maximumFractionDigits: decimals
+                }).format(value);
+            } catch (e) {
+                return Number(value).toFixed(decimals);
+            }
+        },
+
+        // =====================================================================
+        // PARSING
+        // =====================================================================
+
+        /**
+         * Parse a typed amount into a number
+         *
+         * Accepts localized input ("1.234,56", "1 234,56", "1'234.56", "€12"),
+         * as well as plain "1234.56". When only one kind of separator appears
+         * once, it is the decimal separator if it matches the locale's or is
+         * not followed by exactly three digits; otherwise it groups thousands.
+         *
+         * @param {string|number} input Raw value
+         * @return {number|null} Parsed number, or null if there is none
+         */
+        parse: function (input) {
+            if (typeof input === 'number') {
+                return isFinite(input) ? input : null;
+            }
+
+            const raw = String(input || '').trim();
+            const negative = /^-|^−|^\(.*\)$|-$/.test(raw.replace(/[^\d.,()\-−]/g, ''));
+            const value = raw.replace(/[^\d.,]/g, '');
+
+            if (!/\d/.test(value)) {
+                return null;
+            }
+
+            const lastDot = value.lastIndexOf('.');
+            const lastComma = value.lastIndexOf(',');
+            let separator = '';
+
+            if (lastDot !== -1 && lastComma !== -1) {
+                separator = lastDot > lastComma ? '.' : ',';
+            } else if (lastDot !== -1 || lastComma !== -1) {
+                const candidate = lastDot !== -1 ? '.' : ',';
+                const occurrences = value.split(candidate).length - 1;
+                const digitsAfter = value.length - value.lastIndexOf(candidate) - 1;
+
+                if (occurrences === 1 && (candidate === this.getSeparators().decimal || digitsAfter !== 3)) {
+                    separator = candidate;
+                }
+            }
+
+            let integer = value;
+            let fraction = '';
+
+            if (separator) {
+                integer = value.slice(0, value.lastIndexOf(separator));
+                fraction = value.slice(value.lastIndexOf(separator) + 1);
+            }
+
+            const number = parseFloat((integer.replace(/[.,]/g, '') || '0') + '.' + (fraction || '0'));
+
+            return isNaN(number) ? null : (negative ? -number : number);
+        },
+
+        /**
+         * Parse a typed amount straight to the smallest unit
+         *
+         * @param {string|number} input    Raw value
+         * @param {string}        currency ISO 4217 code
+         * @return {number|null}
+         */
+        parseToMinor: function (input, currency) {
+            const value = this.parse(input);
+            return value === null ? null : this.toMinor(value, currency);
+        },
+
+        // =====================================================================
+        // INPUTS & MARKUP
+        // =====================================================================
+
+        /**
+         * Decimal places for an amount input
+         *
+         * data-decimals overrides the currency exponent, e.g. for percentages.
+         *
+         * @param {jQuery} $input Amount input
+         * @return {number}
+         */
+        getInputDecimals: function ($input) {
+            const decimals = parseInt($input.attr('data-decimals'), 10);
+            return isNaN(decimals) ? this.getExponent($input.attr('data-money')) : decimals;
+        },
+
+        /**
+         * Canonical submit value for an amount input ("1.234,5" -> "1234.50")
+         *
+         * @param {jQuery} $input Amount input
+         * @return {string} Canonical value, or the raw value when unparseable
+         */
+        normalizeInput: function ($input) {
+            const value = this.parse($input.val());
+            return value === null ? String($input.val() || '') : value.toFixed(this.getInputDecimals($input));
+        },
+
+        /**
+         * Show a value in an amount input in the locale's format
+         *
+         * @param {jQuery}      $input Amount input
+         * @param {number|null} value  Value to show; null keeps the current text
+         * @return {void}
+         */
+        localizeInput: function ($input, value) {
+            const decimals = this.getInputDecimals($input);
+
+            $input.attr('placeholder', this.formatNumber(0, decimals));
+
+            if (value !== null && value !== undefined) {
+                $input.val(this.formatNumber(value, decimals));
+            }
+        },
+
+        /**
+         * Localize all money markup inside a container
+         *
+         * Input values rendered by the server are canonical ("1234.50"), so
+         * they are read with parseFloat rather than the locale-aware parser.
+         *
+         * @param {jQuery} $scope Container
+         * @return {void}
+         */
+        localize: function ($scope) {
+            const self = this;
+
+            $scope.find(this.inputSelector).each(function () {
+                const $input = $(this);
+                const raw = String($input.val() || '').trim();
+                const value = /^-?\d+(\.\d+)?$/.test(raw) ? parseFloat(raw) : null;
+
+                self.localizeInput($input, value);
+            });
+
+            $scope.find('[data-money-amount]').each(function () {
+                const $el = $(this);
+                $el.text(self.format($el.attr('data-money-amount'), self.getCurrency($el)));
+            });
+
+            $scope.find('[data-money-symbol]').each(function () {
+                const $el = $(this);
+                $el.text(self.getSymbol($el.attr('data-money-symbol') || self.getCurrency($el)));
+            });
+        },
+
+        /**
+         * Currency for an element: its own data-currency or the nearest ancestor's
+         *
+         * @param {jQuery} $el Element
+         * @return {string}
+         */
+        getCurrency: function ($el) {
+            return String($el.closest('[data-currency]').attr('data-currency') || 'USD').toUpperCase();
+        }
+    };
+
+    $(function () {
+        WPFlyout.Money.init();
+    });
+
+})(jQuery);
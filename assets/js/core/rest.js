@@ -0,0 +1,840 @@
+/**
+ * REST Client Core JavaScript
+ *
+ * One client for every flyout REST call, used by the manager and the
+ * components alike. Handles the nonce, timeouts, retries with backoff,
+ * expired sessions and the connection state, and rejects with errors of
+ * one shape: { message, code, status, data }.
+ *
+ * Interceptors can change requests before they are sent and responses or
+ * errors before callers see them. The transport that sends the request is
+ * replaceable, so tests can answer from a fake server:
+ *
+ *   WPFlyout.rest.transport = function (request) {
+ *       return Promise.resolve({ status: 200, body: { success: true } });
+ *   };
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __, sprintf } = wp.i18n;
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    /**
+     * Ordered list of interceptor callbacks
+     *
+     * @return {{handlers: Array, use: Function, eject: Function}}
+     */
+    function createInterceptors() {
+        return {
+            handlers: [],
+
+            /**
+             * Add an interceptor
+             *
+             * @param {Function} fulfilled Receives the value; returns it (or a Promise of it)
+             * @param {Function} rejected  Optional; receives an error, throws or returns a value
+             * @return {number} ID for eject()
+             */
+            use: function (fulfilled, rejected) {
+                this.handlers.push({ fulfilled: fulfilled || null, rejected: rejected || null });
+                return this.handlers.length - 1;
+            },
+
+            /**
+             * Remove an interceptor added with use()
+             *
+             * @param {number} id
+             */
+            eject: function (id) {
+                if (this.handlers[id]) {
+                    this.handlers[id] = null;
+                }
+            }
+        };
+    }
+
+    WPFlyout.rest = {
+
+        /**
+         * Request defaults
+         *
+         * timeout and retryDelay are in milliseconds. Retries apply to
+         * idempotent requests only, with the delay doubling each time.
+         */
+        defaults: {
+            timeout: 30000,
+            retries: 2,
+            retryDelay: 500,
+            retryStatuses: [429, 502, 503, 504]
+        },
+
+        /**
+         * Request and response interceptors
+         *
+         * Request interceptors receive the request ({ endpoint, url, method,
+         * data, headers, options }) once per call, before it is sent.
+         * Response interceptors receive the decoded JSON, or the error,
+         * along with the request.
+         */
+        interceptors: {
+            request: createInterceptors(),
+            response: createInterceptors()
+        },
+
+        /**
+         * Send one request over the network
+         *
+         * Receives { url, method, headers, body, signal, onProgress } and
+         * resolves with { status, body }, where body is the response text or
+         * an already decoded object. A file response resolves with the Blob
+         * as body and its filename; onProgress(loaded, total) follows it as
+         * it arrives. Rejecting without an error code means the server
+         * couldn't be reached.
+         *
+         * @type {Function}
+         */
+        transport: function (request) {
+            return fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: request.signal,
+                credentials: 'same-origin'
+            }).then(function (response) {
+                var rest = WPFlyout.rest;
+
+                if (response.ok && rest.isFile(response)) {
+                    return rest.readFile(response, request.onProgress).then(function (blob) {
+                        return {
+                            status: response.status,
+                            body: blob,
+                            filename: rest.filename(response.headers.get('Content-Disposition'))
+                        };
+                    });
+                }
+
+                return response.text().then(function (text) {
+                    return { status: response.status, body: text };
+                });
+            });
+        },
+
+        /**
+         * Number of requests in progress
+         */
+        active: 0,
+
+        /**
+         * Whether the last request failed to reach the server
+         */
+        offline: false,
+
+        /**
+         * Pending nonce or login renewal shared by the requests waiting on it
+         *
+         * @type {Promise|null}
+         */
+        sessionRecovery: null,
+
+        /**
+         * Running request ID
+         */
+        sequence: 0,
+
+        /**
+         * Initialize
+         */
+        init: function () {
+            // Connection state, from the browser and from Heartbeat
+            $(window).on('offline.wpflyout', this.setOffline.bind(this, true));
+            $(window).on('online.wpflyout', this.setOffline.bind(this, false));
+            $(document).on('heartbeat-connection-lost.wpflyout', this.setOffline.bind(this, true));
+            $(document).on('heartbeat-connection-restored.wpflyout', this.setOffline.bind(this, false));
+
+            // Core sends a fresh REST nonce with Heartbeat after nonces are refreshed
+            $(document).on('heartbeat-tick.wpflyout', this.receiveNonce.bind(this));
+        },
+
+        // =====================================================================
+        // REQUESTS
+        // =====================================================================
+
+        /**
+         * Make a REST API request
+         *
+         * Options:
+         * - signal     AbortSignal that cancels the request
+         * - timeout    Milliseconds before giving up (default defaults.timeout, 0 for none)
+         * - idempotent Safe to repeat; retries network errors, timeouts and
+         *              retryStatuses with exponential backoff (default: GET only)
+         * - retries    Retry count for idempotent requests (default defaults.retries)
+         * - onProgress Called with (loaded, total) bytes while a file response
+         *              arrives; total is 0 when the size isn't known
+         *
+         * A file response (see Download on the server) resolves with
+         * { success: true, file: { blob, filename, type, size } }. While it
+         * streams, the timeout counts from the last chunk received.
+         *
+         * Rejects with an Error whose code is the WP_Error code, or one of
+         * flyout_aborted, flyout_timeout, flyout_offline, flyout_invalid_response
+         * and flyout_session_expired.
+         *
+         * @param {string} endpoint Path under the flyout namespace ('/load') or a full URL
+         * @param {Object} data     Request data; sent as the query string for GET
+         * @param {string} method   HTTP method (default: 'POST')
+         * @param {Object} options  Request options
+         * @return {Promise<Object>} Resolves with the decoded JSON
+         */
+        request: function (endpoint, data, method, options) {
+            var self = this;
+
+            method = (method || 'POST').toUpperCase();
+            options = $.extend({
+                signal: null,
+                timeout: this.defaults.timeout,
+                idempotent: method === 'GET'
+            }, options);
+
+            var request = {
+                id: ++this.sequence,
+                endpoint: endpoint,
+                url: this.url(endpoint),
+                method: method,
+                data: data || {},
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-WP-Nonce': wpFlyout.restNonce
+                },
+                options: options
+            };
+
+            this.active++;
+            $(document).trigger('wpflyout:request:start', { request: request, active: this.active });
+
+            var promise = this.interceptors.request.handlers.reduce(function (chain, handler) {
+                if (!handler) return chain;
+
+                return chain.then(function (current) {
+                    return Promise.resolve(handler.fulfilled ? handler.fulfilled(current) : current)
+                        .then(function (result) {
+                            return result || current;
+                        });
+                }, handler.rejected ? function (error) {
+                    return handler.rejected(self.normalizeError(error));
+                } : undefined);
+            }, Promise.resolve(request));
+
+            promise = promise.then(function (final) {
+                request = final;
+                return self.dispatch(request);
+            });
+
+            promise = this.interceptors.response.handlers.reduce(function (chain, handler) {
+                if (!handler) return chain;
+
+                return chain.then(handler.fulfilled ? function (json) {
+                    return handler.fulfilled(json, request);
+                } : undefined, handler.rejected ? function (error) {
+                    return handler.rejected(self.normalizeError(error), request);
+                } : undefined);
+            }, promise);
+
+            return promise.then(function (json) {
+                self.finish(request, json, null);
+                return json;
+            }, function (error) {
+                error = self.normalizeError(error);
+                self.finish(request, null, error);
+                throw error;
+            });
+        },
+
+        /**
+         * GET shorthand
+         *
+         * @param {string} endpoint Path or full URL
+         * @param {Object} data     Query parameters
+         * @param {Object} options  Request options (see request)
+         * @return {Promise<Object>}
+         */
+        get: function (endpoint, data, options) {
+            return this.request(endpoint, data, 'GET', options);
+        },
+
+        /**
+         * POST shorthand
+         *
+         * @param {string} endpoint Path or full URL
+         * @param {Object} data     JSON body
+         * @param {Object} options  Request options (see request)
+         * @return {Promise<Object>}
+         */
+        post: function (endpoint, data, options) {
+            return this.request(endpoint, data, 'POST', options);
+        },
+
+        /**
+         * Full URL for an endpoint
+         *
+         * @param {string} endpoint Path under the flyout namespace, or a full URL
+         * @return {string}
+         */
+        url: function (endpoint) {
+            return /^https?:\/\//i.test(endpoint) ? endpoint : wpFlyout.restUrl + endpoint;
+        },
+
+        /**
+         * Send a prepared request with retries and session recovery
+         *
+         * @param {Object} request Request after the request interceptors
+         * @return {Promise<Object>}
+         */
+        dispatch: function (request) {
+            var self = this;
+            var options = request.options;
+            var retries = options.idempotent ? (options.retries !== undefined ? options.retries : this.defaults.retries) : 0;
+
+            var attempt = function (number) {
+                return self.send(request).catch(function (error) {
+                    if (number >= retries || !self.isRetryable(error)) {
+                        throw error;
+                    }
+
+                    // 500ms, 1s, 2s... with jitter so clients don't retry in step
+                    var delay = self.defaults.retryDelay * Math.pow(2, number) * (1 + Math.random() * 0.25);
+
+                    return self.wait(delay, options.signal).then(function () {
+                        return attempt(number + 1);
+                    });
+                });
+            };
+
+            // An expired nonce or login is renewed once, then the request is sent again as it was
+            var sent = attempt(0).catch(function (error) {
+                if (!self.isAuthError(error) || (options.signal && options.signal.aborted)) {
+                    throw error;
+                }
+
+                return self.recoverSession().then(function () {
+                    request.headers['X-WP-Nonce'] = wpFlyout.restNonce;
+                    return attempt(0);
+                });
+            });
+
+            return sent.then(function (json) {
+                self.setOffline(false);
+                return json;
+            }, function (error) {
+                if (error.code === 'flyout_offline') {
+                    self.setOffline(true);
+                }
+                throw error;
+            });
+        },
+
+        /**
+         * Send one attempt through the transport with a timeout and decode the response
+         *
+         * @param {Object} request Prepared request
+         * @return {Promise<Object>}
+         */
+        send: function (request) {
+            var self = this;
+            var options = request.options;
+            var controller = new AbortController();
+            var timedOut = false;
+            var timer = null;
+            var url = request.url;
+            var body;
+
+            var abort = function () {
+                controller.abort();
+            };
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    return Promise.reject(this.abortError());
+                }
+                options.signal.addEventListener('abort', abort);
+            }
+
+            if (request.method === 'GET') {
+                var query = $.param(request.data);
+                if (query) {
+                    url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+                }
+            } else {
+                body = JSON.stringify(request.data);
+            }
+
+            var arm = function () {
+                clearTimeout(timer);
+
+                if (options.timeout > 0) {
+                    timer = setTimeout(function () {
+                        timedOut = true;
+                        controller.abort();
+                    }, options.timeout);
+                }
+            };
+
+            arm();
+
+            var cleanup = function () {
+                clearTimeout(timer);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', abort);
+                }
+            };
+
+            return Promise.resolve()
+                .then(function () {
+                    return self.transport({
+                        url: url,
+                        method: request.method,
+                        headers: $.extend({}, request.headers),
+                        body: body,
+                        signal: controller.signal,
+                        onProgress: function (loaded, total) {
+                            // A large file may take longer than the timeout; give up on silence instead
+                            arm();
+
+                            if (options.onProgress) {
+                                options.onProgress(loaded, total);
+                            }
+                        }
+                    });
+                })
+                .then(function (response) {
+                    var json = response.body;
+
+                    if (json instanceof Blob) {
+                        return {
+                            success: true,
+                            file: { blob: json, filename: response.filename || '', type: json.type, size: json.size }
+                        };
+                    }
+
+                    if (typeof json === 'string') {
+                        try {
+                            json = json ? JSON.parse(json) : {};
+                        } catch (e) {
+                            /* translators: %d: HTTP status code */
+                            throw self.createError('flyout_invalid_response', sprintf(__('Request failed (%d)', 'wp-flyout'), response.status), response.status);
+                        }
+                    }
+
+                    json = json || {};
+
+                    if (response.status < 200 || response.status >= 300) {
+                        throw self.createError(json.code, json.message, response.status, json.data);
+                    }
+
+                    return json;
+                })
+                .then(function (json) {
+                    cleanup();
+                    return json;
+                }, function (error) {
+                    cleanup();
+
+                    if (controller.signal.aborted) {
+                        if (!timedOut) {
+                            throw self.abortError();
+                        }
+
+                        throw self.createError('flyout_timeout', __('The server took too long to respond.', 'wp-flyout'));
+                    }
+
+                    // fetch() rejects with a TypeError when the server can't be reached
+                    if (!error || !error.code) {
+                        throw self.createError('flyout_offline', navigator.onLine === false
+                            ? __('You are offline. Check your connection and try again.', 'wp-flyout')
+                            : __('Could not reach the server. Check your connection and try again.', 'wp-flyout'));
+                    }
+
+                    throw error;
+                });
+        },
+
+        /**
+         * Fire request:end and update the count of active requests
+         */
+        finish: function (request, response, error) {
+            this.active = Math.max(0, this.active - 1);
+
+            $(document).trigger('wpflyout:request:end', {
+                request: request,
+                response: response,
+                error: error,
+                active: this.active
+            });
+        },
+
+        // =====================================================================
+        // ERRORS
+        // =====================================================================
+
+        /**
+         * Create a client error
+         *
+         * @param {string} code    Error code
+         * @param {string} message Message for the user (default: "Request failed")
+         * @param {number} status  HTTP status, 0 when there was no response
+         * @param {Object} data    Extra error data
+         * @return {Error}
+         */
+        createError: function (code, message, status, data) {
+            var error = new Error(message || __('Request failed', 'wp-flyout'));
+            error.code = code || 'flyout_request_failed';
+            error.status = status || 0;
+            error.data = data || {};
+            return error;
+        },
+
+        /**
+         * Give any thrown value the client's error shape
+         *
+         * @param {*} error Error, WP_Error-style object or message
+         * @return {Error}
+         */
+        normalizeError: function (error) {
+            if (error instanceof Error) {
+                error.code = error.code || 'flyout_request_failed';
+                error.status = error.status || 0;
+                error.data = error.data || {};
+                return error;
+            }
+
+            if (error && typeof error === 'object') {
+                return this.createError(error.code, error.message, error.status, error.data);
+            }
+
+            return this.createError('flyout_request_failed', typeof error === 'string' ? error : '');
+        },
+
+        /**
+         * Whether a failed request may succeed if sent again
+         */
+        isRetryable: function (error) {
+            return error.code === 'flyout_timeout' ||
+                error.code === 'flyout_offline' ||
+                this.defaults.retryStatuses.indexOf(error.status) !== -1;
+        },
+
+        /**
+         * Error for a request cancelled by the caller or by a newer request
+         */
+        abortError: function () {
+            var error = this.createError('flyout_aborted');
+            error.message = '';
+            return error;
+        },
+
+        /**
+         * Resolve after a delay, or reject when the signal aborts first
+         */
+        wait: function (ms, signal) {
+            var self = this;
+
+            return new Promise(function (resolve, reject) {
+                if (signal && signal.aborted) {
+                    reject(self.abortError());
+                    return;
+                }
+
+                var onAbort = function () {
+                    clearTimeout(timer);
+                    reject(self.abortError());
+                };
+
+                // Long-lived signals would otherwise collect a listener per wait
+                var timer = setTimeout(function () {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve();
+                }, ms);
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            });
+        },
+
+        /**
+         * Record whether the server can be reached
+         *
+         * @param {boolean} offline
+         */
+        setOffline: function (offline) {
+            offline = offline === true;
+
+            if (offline === this.offline) return;
+
+            this.offline = offline;
+
+            $(document).trigger('wpflyout:connection-changed', { online: !offline });
+        },
+
+        // =====================================================================
+        // FILES
+        // =====================================================================
+
+        /**
+         * Download a file from a URL, such as a signed storage link
+         *
+         * Sent without the nonce; cookies go along for same-origin URLs
+         * only. Other hosts must allow cross-origin requests.
+         *
+         * @param {string} url     File URL
+         * @param {Object} options signal, onProgress (see request)
+         * @return {Promise<{blob: Blob, filename: string, type: string, size: number}>}
+         */
+        download: function (url, options) {
+            var self = this;
+
+            options = $.extend({ signal: null, onProgress: null }, options);
+
+            return fetch(url, {
+                credentials: this.isSameOrigin(url) ? 'same-origin' : 'omit',
+                signal: options.signal
+            }).then(function (response) {
+                if (!response.ok) {
+                    /* translators: %d: HTTP status code */
+                    throw self.createError('flyout_download_failed', sprintf(__('Download failed (%d)', 'wp-flyout'), response.status), response.status);
+                }
+
+                return self.readFile(response, options.onProgress).then(function (blob) {
+                    return {
+                        blob: blob,
+                        filename: self.filename(response.headers.get('Content-Disposition')),
+                        type: blob.type,
+                        size: blob.size
+                    };
+                });
+            }, function (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw self.abortError();
+                }
+
+                throw self.createError('flyout_offline', __('Could not reach the server. Check your connection and try again.', 'wp-flyout'));
+            });
+        },
+
+        /**
+         * Whether a response is a file rather than JSON
+         *
+         * Only an attachment counts, so a plain-text error page from a proxy
+         * is still reported as an invalid response.
+         *
+         * @param {Response} response fetch() response
+         * @return {boolean}
+         */
+        isFile: function (response) {
+            return /^\s*attachment/i.test(response.headers.get('Content-Disposition') || '');
+        },
+
+        /**
+         * Read a response body into a Blob, reporting progress per chunk
+         *
+         * Read chunk by chunk where the browser allows, so a stream that
+         * keeps arriving can't time out whether or not progress is shown.
+         *
+         * @param {Response} response   fetch() response
+         * @param {Function} onProgress Optional; called with (loaded, total)
+         * @return {Promise<Blob>}
+         */
+        readFile: function (response, onProgress) {
+            var type = response.headers.get('Content-Type') || '';
+            var total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+
+            if (!response.body || !response.body.getReader) {
+                return response.blob();
+            }
+
+            var reader = response.body.getReader();
+            var chunks = [];
+            var loaded = 0;
+
+            var read = function () {
+                return reader.read().then(function (step) {
+                    if (step.done) {
+                        return new Blob(chunks, { type: type });
+                    }
+
+                    chunks.push(step.value);
+                    loaded += step.value.length;
+
+                    if (onProgress) {
+                        onProgress(loaded, total);
+                    }
+
+                    return read();
+                });
+            };
+
+            return read();
+        },
+
+        /**
+         * File name from a Content-Disposition header, preferring the UTF-8 form
+         *
+         * @param {string|null} disposition Header value
+         * @return {string} Empty when the header has none
+         */
+        filename: function (disposition) {
+            var match = /filename\*\s*=\s*UTF-8''([^;]+)/i.exec(disposition || '');
+
+            if (match) {
+                try {
+                    return decodeURIComponent(match[1].trim());
+                } catch (e) {
+                    // Malformed; fall back to the plain name
+                }
+            }
+
+            match = /filename\s*=\s*"?([^";]+)"?/i.exec(disposition || '');
+
+            return match ? match[1].trim() : '';
+        },
+
+        /**
+         * Whether a URL points at this site's origin
+         *
+         * @param {string} url
+         * @return {boolean}
+         */
+        isSameOrigin: function (url) {
+            try {
+                return new URL(url, window.location.href).origin === window.location.origin;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        // =====================================================================
+        // SESSION RECOVERY
+        // =====================================================================
+
+        /**
+         * Whether a request failed because the nonce or the login expired
+         */
+        isAuthError: function (error) {
+            return error.code === 'rest_cookie_invalid_nonce' || error.status === 401;
+        },
+
+        /**
+         * Get a fresh nonce, asking the user to log in again if needed
+         *
+         * Concurrent failed requests share one renewal.
+         *
+         * @return {Promise<string>} Resolves with the new nonce
+         */
+        recoverSession: function () {
+            var self = this;
+
+            if (!this.sessionRecovery) {
+                this.sessionRecovery = this.refreshNonce()
+                    .catch(function () {
+                        return self.showLogin().then(function () {
+                            return self.refreshNonce();
+                        });
+                    })
+                    .then(function (nonce) {
+                        self.sessionRecovery = null;
+                        return nonce;
+                    }, function () {
+                        self.sessionRecovery = null;
+
+                        throw self.createError('flyout_session_expired', __('Your session has expired. Log in again, then try once more.', 'wp-flyout'));
+                    });
+            }
+
+            return this.sessionRecovery;
+        },
+
+        /**
+         * Fetch a new REST nonce from admin-ajax
+         *
+         * Uses core's rest-nonce action rather than a REST route: REST
+         * requests without a valid nonce are treated as logged out, and
+         * admin-ajax doesn't send CORS headers that would expose the nonce.
+         *
+         * @return {Promise<string>} Rejects when the user is logged out
+         */
+        refreshNonce: function () {
+            return fetch(wpFlyout.nonceUrl, { credentials: 'same-origin' }).then(function (response) {
+                return response.text().then(function (text) {
+                    var nonce = $.trim(text);
+
+                    // Logged out: admin-ajax answers 0 or -1
+                    if (!response.ok || !/^[a-z0-9]+$/i.test(nonce) || nonce === '0') {
+                        throw new Error('rest-nonce');
+                    }
+
+                    wpFlyout.restNonce = nonce;
+                    $(document).trigger('wpflyout:nonce-refreshed', { nonce: nonce });
+
+                    return nonce;
+                });
+            });
+        },
+
+        /**
+         * Show the WordPress login modal and wait for it to close
+         *
+         * Resolves without waiting when wp-auth-check isn't loaded on the
+         * page or the user dismissed the modal earlier in this session.
+         *
+         * @return {Promise<void>}
+         */
+        showLogin: function () {
+            var $wrap = $('#wp-auth-check-wrap');
+
+            if (!$wrap.length || !window.MutationObserver) {
+                return Promise.resolve();
+            }
+
+            return new Promise(function (resolve) {
+                var observer = new MutationObserver(function () {
+                    if ($wrap.hasClass('hidden')) {
+                        observer.disconnect();
+                        resolve();
+                    }
+                });
+
+                observer.observe($wrap[0], { attributes: true, attributeFilter: ['class'] });
+
+                // Only wp-auth-check's own handler listens in this namespace
+                $(document).trigger('heartbeat-tick.wp-auth-check', [{ 'wp-auth-check': false }]);
+
+                if ($wrap.hasClass('hidden')) {
+                    observer.disconnect();
+                    resolve();
+                }
+            });
+        },
+
+        /**
+         * Pick up the REST nonce core adds to Heartbeat responses
+         */
+        receiveNonce: function (e, data) {
+            if (data && data.rest_nonce) {
+                wpFlyout.restNonce = data.rest_nonce;
+            }
+        }
+    };
+
+    $(function () {
+        WPFlyout.rest.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,453 @@
+/**
+ * Shortcuts Core JavaScript
+ *
+ * Keyboard shortcuts scoped to the top flyout. Combos are written like
+ * "mod+s", "alt+arrowleft" or "?", where mod is Cmd on macOS and Ctrl
+ * elsewhere. Any element in a flyout with data-shortcut="mod+e" is
+ * clicked when its combo is pressed.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __ } = wp.i18n;
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.Shortcuts = {
+
+        /**
+         * Registered shortcuts, in registration order
+         *
+         * @type {Array<Object>}
+         */
+        shortcuts: [],
+
+        /**
+         * Whether mod means Cmd rather than Ctrl
+         *
+         * @type {boolean}
+         */
+        isMac: /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent),
+
+        /**
+         * Initialize
+         */
+        init: function () {
+            const self = this;
+            const hasTabs = function ($flyout) {
+                return $flyout.find('.wp-flyout-tab').length > 1;
+            };
+
+            this.register('alt+arrowleft', function ($flyout) {
+                self.switchTab($flyout, -1);
+            }, { description: __('Previous tab', 'wp-flyout'), when: hasTabs });
+
+            this.register('alt+arrowright', function ($flyout) {
+                self.switchTab($flyout, 1);
+            }, { description: __('Next tab', 'wp-flyout'), when: hasTabs });
+
+            this.register('?', function ($flyout) {
+                self.showHelp($flyout);
+            }, { description: __('Show keyboard shortcuts', 'wp-flyout') });
+
+            $(document).on('keydown.wpflyout-shortcuts', function (e) {
+                self.handleKeydown(e);
+            });
+
+            $(document).on('wpflyout:opened wpflyout:content-loaded', function (e, data) {
+                self.annotate($(data.element));
+            });
+        },
+
+        /**
+         * Register a shortcut
+         *
+         * Later registrations win over earlier ones for the same combo.
+         *
+         * Options:
+         * - description Label for the cheat sheet (unlisted when empty)
+         * - when        function($flyout) returning whether the shortcut applies
+         * - inInput     Fire while typing in a field (default: only for Ctrl/Cmd combos)
+         *
+         * @param {string}   combo   Key combination, e.g. "mod+s"
+         * @param {Function} handler Called with the top flyout and the keydown event
+         * @param {Object}   options Optional settings
+         * @return {Object} The shortcut, for unregister()
+         */
+        register: function (combo, handler, options) {
+            options = options || {};
+
+            const keys = this.parse(combo);
+            const shortcut = {
+                combo: String(combo).toLowerCase(),
+                keys: keys,
+                handler: handler,
+                description: options.description || '',
+                when: options.when || null,
+                inInput: options.inInput !== undefined ? !!options.inInput : (keys.ctrl || keys.meta)
+            };
+
+            this.shortcuts.push(shortcut);
+
+            return shortcut;
+        },
+
+        /**
+         * Remove a shortcut returned by register()
+         *
+         * @param {Object} shortcut Registered shortcut
+         * @return {void}
+         */
+        unregister: function (shortcut) {
+            this.shortcuts = this.shortcuts.filter(function (item) {
+                return item !== shortcut;
+            });
+        },
+
+        // =====================================================================
+        // KEY HANDLING
+        // =====================================================================
+
+        /**
+         * Parse a combo string into modifier flags and a key
+         *
+         * @param {string} combo Key combination
+         * @return {{ctrl: boolean, meta: boolean, alt: boolean, shift: boolean, key: string}}
+         */
+        parse: function (combo) {
+            const keys = { ctrl: false, meta: false, alt: false, shift: false, key: '' };
+            const parts = String(combo).toLowerCase().split('+');
+
+            parts.forEach((part, i) => {
+                // A trailing empty part means the key is "+" itself
+                if (part === '' && i === parts.length - 1) {
+                    keys.key = '+';
+                    return;
+                }
+
+                switch (part) {
+                    case 'mod':
+                        keys[this.isMac ? 'meta' : 'ctrl'] = true;
+                        break;
+                    case 'ctrl':
+                    case 'control':
+                        keys.ctrl = true;
+                        break;
+                    case 'cmd':
+                    case 'meta':
+                        keys.meta = true;
+                        break;
+                    case 'alt':
+                    case 'option':
+                        keys.alt = true;
+                        break;
+                    case 'shift':
+                        keys.shift = true;
+                        break;
+                    default:
+                        if (part) keys.key = part;
+                }
+            });
+
+            return keys;
+        },
+
+        /**
+         * Check a keydown event against parsed keys
+         *
+         * Shift is ignored for symbol keys such as "?", which need it to be typed.
+         *
+         * @param {Object} keys Parsed combo
+         * @param {Event}  e    Keydown event
+         * @return {boolean}
+         */
+        matches: function (keys, e) {
+            let key = String(e.key || '').toLowerCase();
+
+            // Alt+letter types a special character on macOS; fall back to the physical key
+            if (keys.alt && /^key[a-z]$/i.test(e.code || '')) {
+                key = e.code.slice(3).toLowerCase();
+            }
+
+            if (key !== keys.key || e.ctrlKey !== keys.ctrl || e.metaKey !== keys.meta || e.altKey !== keys.alt) {
+                return false;
+            }
+
+            const isSymbol = keys.key.length === 1 && !/[a-z0-9]/.test(keys.key);
+
+            return isSymbol || e.shiftKey === keys.shift;
+        },
+
+        /**
+         * Whether an element takes typed text
+         *
+         * @param {HTMLElement} el Event target
+         * @return {boolean}
+         */
+        isTyping: function (el) {
+            return $(el).is('textarea, select, [contenteditable="true"], input:not([type="checkbox"], [type="radio"], [type="button"], [type="submit"], [type="reset"])');
+        },
+
+        /**
+         * Run the matching shortcut for a keypress in the top flyout
+         *
+         * Elements with data-shortcut come first, then registered shortcuts
+         * from the most recently registered.
+         *
+         * @param {Event} e Keydown event
+         * @return {void}
+         */
+        handleKeydown: function (e) {
+            if (e.isDefaultPrevented() || (e.originalEvent && e.originalEvent.isComposing) || !WPFlyout.active.length) {
+                return;
+            }
+
+            const $flyout = $('#' + WPFlyout.getLastId());
+
+            // Only keys pressed inside the top flyout, or with nothing focused
+            if (!$flyout.length || (!$flyout[0].contains(e.target) && e.target !== document.body)) {
+                return;
+            }
+
+            const typing = this.isTyping(e.target);
+            const $element = this.findElement($flyout, e, typing);
+
+            if ($element) {
+                e.preventDefault();
+                $element.trigger('click');
+                return;
+            }
+
+            for (let i = this.shortcuts.length - 1; i >= 0; i--) {
+                const shortcut = this.shortcuts[i];
+
+                if (!this.matches(shortcut.keys, e) || (typing && !shortcut.inInput) || !this.applies(shortcut, $flyout)) {
+                    continue;
+                }
+
+                e.preventDefault();
+                shortcut.handler($flyout, e);
+                return;
+            }
+        },
+
+        /**
+         * Find an enabled data-shortcut element in the flyout matching the event
+         *
+         * @param {jQuery}  $flyout Top flyout
+         * @param {Event}   e       Keydown event
+         * @param {boolean} typing  Whether focus is in a text field
+         * @return {jQuery|null}
+         */
+        findElement: function ($flyout, e, typing) {
+            const self = this;
+            let $match = null;
+
+            this.getElements($flyout).each(function () {
+                const keys = self.parse($(this).attr('data-shortcut'));
+
+                if (self.matches(keys, e) && (!typing || keys.ctrl || keys.meta)) {
+                    $match = $(this);
+                    return false;
+                }
+            });
+
+            return $match;
+        },
+
+        /**
+         * Visible, enabled data-shortcut elements in a flyout
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @return {jQuery}
+         */
+        getElements: function ($flyout) {
+            return $flyout.find('[data-shortcut]').filter(':visible').filter(function () {
+                return !$(this).is(':disabled') && !$(this).closest('[inert]').length;
+            });
+        },
+
+        /**
+         * Whether a shortcut applies to a flyout
+         *
+         * @param {Object} shortcut Registered shortcut
+         * @param {jQuery} $flyout  Flyout element
+         * @return {boolean}
+         */
+        applies: function (shortcut, $flyout) {
+            return !shortcut.when || !!shortcut.when($flyout);
+        },
+
+        // =====================================================================
+        // TABS
+        // =====================================================================
+
+        /**
+         * Activate the previous or next enabled tab
+         *
+         * @param {jQuery} $flyout   Flyout element
+         * @param {number} direction -1 or 1
+         * @return {void}
+         */
+        switchTab: function ($flyout, direction) {
+            const $tabs = $flyout.find('.wp-flyout-tab').not('.disabled');
+            const current = $tabs.index($tabs.filter('.active'));
+            const next = (current + direction + $tabs.length) % $tabs.length;
+
+            WPFlyout.activateTab($flyout, $tabs.eq(next).data('tab'), true);
+        },
+
+        // =====================================================================
+        // DISPLAY
+        // =====================================================================
+
+        /**
+         * Key labels for a combo, e.g. ["Ctrl", "S"] or ["⌘", "S"]
+         *
+         * @param {string} combo Key combination
+         * @return {Array<string>}
+         */
+        format: function (combo) {
+            const keys = this.parse(combo);
+            const names = {
+                arrowleft: '←',
+                arrowright: '→',
+                arrowup: '↑',
+                arrowdown: '↓',
+                enter: this.isMac ? '↩' : 'Enter',
+                backspace: this.isMac ? '⌫' : 'Backspace',
+                escape: 'Esc',
+                ' ': __('Space', 'wp-flyout')
+            };
+            const labels = [];
+
+            if (keys.ctrl) labels.push(this.isMac ? '⌃' : 'Ctrl');
+            if (keys.alt) labels.push(this.isMac ? '⌥' : 'Alt');
+            if (keys.shift) labels.push(this.isMac ? '⇧' : 'Shift');
+            if (keys.meta) labels.push(this.isMac ? '⌘' : 'Win');
+
+            labels.push(names[keys.key] || (keys.key.length === 1 ? keys.key.toUpperCase() : keys.key));
+
+            return labels;
+        },
+
+        /**
+         * Combo in aria-keyshortcuts syntax, e.g. "Control+S"
+         *
+         * @param {string} combo Key combination
+         * @return {string}
+         */
+        toAria: function (combo) {
+            const keys = this.parse(combo);
+            const names = { arrowleft: 'ArrowLeft', arrowright: 'ArrowRight', arrowup: 'ArrowUp', arrowdown: 'ArrowDown', enter: 'Enter', backspace: 'Backspace', escape: 'Escape', ' ': 'Space' };
+            const parts = [];
+
+            if (keys.ctrl) parts.push('Control');
+            if (keys.alt) parts.push('Alt');
+            if (keys.shift) parts.push('Shift');
+            if (keys.meta) parts.push('Meta');
+
+            parts.push(names[keys.key] || (keys.key.length === 1 ? keys.key.toUpperCase() : keys.key));
+
+            return parts.join('+');
+        },
+
+        /**
+         * Expose data-shortcut combos to assistive tech and as a tooltip
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @return {void}
+         */
+        annotate: function ($flyout) {
+            const self = this;
+
+            $flyout.find('[data-shortcut]').each(function () {
+                const $el = $(this);
+                const combo = $el.attr('data-shortcut');
+
+                $el.attr('aria-keyshortcuts', self.toAria(combo));
+
+                if (!$el.attr('title')) {
+                    $el.attr('title', $.trim($el.text()) + ' (' + self.format(combo).join('+') + ')');
+                }
+            });
+        },
+
+        /**
+         * Entries for the cheat sheet: registered shortcuts that apply, then data-shortcut elements
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @return {Array<{combo: string, description: string}>}
+         */
+        getHelpEntries: function ($flyout) {
+            const self = this;
+            const entries = [{ combo: 'escape', description: __('Close', 'wp-flyout') }];
+            const seen = { escape: true };
+
+            for (let i = this.shortcuts.length - 1; i >= 0; i--) {
+                const shortcut = this.shortcuts[i];
+
+                if (shortcut.description && !seen[shortcut.combo] && this.applies(shortcut, $flyout)) {
+                    seen[shortcut.combo] = true;
+                    entries.push({ combo: shortcut.combo, description: shortcut.description });
+                }
+            }
+
+            this.getElements($flyout).each(function () {
+                const $el = $(this);
+
+                entries.push({
+                    combo: $el.attr('data-shortcut'),
+                    description: $el.attr('data-shortcut-label') || $el.attr('aria-label') || $.trim($el.text())
+                });
+            });
+
+            // Keep the help entry last
+            return entries.sort(function (a, b) {
+                return (a.combo === '?') - (b.combo === '?');
+            }).filter(function (entry) {
+                return entry.description && self.parse(entry.combo).key;
+            });
+        },
+
+        /**
+         * Show the cheat sheet in the flyout
+         *
+         * @param {jQuery} $flyout Flyout element
+         * @return {Promise<void>}
+         */
+        showHelp: function ($flyout) {
+            const self = this;
+            const $list = $('<dl class="wp-flyout-shortcuts"></dl>');
+
+            this.getHelpEntries($flyout).forEach(function (entry) {
+                const $keys = $('<dt></dt>');
+
+                self.format(entry.combo).forEach(function (label, i) {
+                    if (i) $keys.append(document.createTextNode(' + '));
+                    $keys.append($('<kbd></kbd>').text(label));
+                });
+
+                $list.append($keys, $('<dd></dd>').text(entry.description));
+            });
+
+            return WPFlyout.dialog.alert({
+                title: __('Keyboard shortcuts', 'wp-flyout'),
+                message: __('These shortcuts work in the open flyout.', 'wp-flyout'),
+                content: $list,
+                confirmText: __('Close', 'wp-flyout'),
+                context: $flyout
+            });
+        }
+    };
+
+    $(function () {
+        WPFlyout.Shortcuts.init();
+    });
+
+})(jQuery);
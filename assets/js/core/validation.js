@@ -0,0 +1,605 @@
+/**
+ * Form Validation Core JavaScript
+ *
+ * Declarative client-side validation driven by the attributes FormField emits:
+ * required, type (email, url), min, max, step, minlength, maxlength, pattern,
+ * data-matches, data-validate (custom named validators) and data-messages.
+ *
+ * Errors are shown inline below each field.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @subpackage  Core
+ * @version     1.0.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const { __, sprintf } = wp.i18n;
+
+    window.WPFlyout = window.WPFlyout || {};
+
+    WPFlyout.Validation = {
+
+        /**
+         * Default error messages (%s is replaced with the rule argument)
+         *
+         * @type {Object}
+         */
+        messages: {
+            required: __('This field is required.', 'wp-flyout'),
+            email: __('Please enter a valid email address.', 'wp-flyout'),
+            url: __('Please enter a valid URL.', 'wp-flyout'),
+            /* translators: %s: minimum value */
+            min: __('Please enter a value of at least %s.', 'wp-flyout'),
+            /* translators: %s: maximum value */
+            max: __('Please enter a value no greater than %s.', 'wp-flyout'),
+            /* translators: %s: step size */
+            step: __('Please enter a value in steps of %s.', 'wp-flyout'),
+            /* translators: %s: minimum number of characters */
+            minlength: __('Please enter at least %s characters.', 'wp-flyout'),
+            /* translators: %s: maximum number of characters */
+            maxlength: __('Please enter no more than %s characters.', 'wp-flyout'),
+            pattern: __('Please match the requested format.', 'wp-flyout'),
+            matches: __('This field does not match.', 'wp-flyout'),
+            invalid: __('This field is invalid.', 'wp-flyout')
+        },
+
+        /**
+         * Custom validators registered from JavaScript
+         *
+         * @type {Object<string, {callback: Function, message: string}>}
+         */
+        validators: {},
+
+        /**
+         * Initialize live re-validation of invalid fields
+         *
+         * @return {void}
+         */
+        init: function () {
+            const self = this;
+
+            $(document).on('input change', '.wp-flyout [aria-invalid="true"]', function () {
+                const $field = $(this);
+                const message = self.validateField($field, $field.closest('form'));
+
+                if (!message) {
+                    self.clearError($field);
+                }
+            });
+        },
+
+        /**
+         * Register a custom named validator
+         *
+         * Fields opt in with data-validate="name" (space-separated for several).
+         * The callback returns true when valid, false to use the default
+         * message, or a string to use as the error message.
+         *
+         * @param {string}   name     Validator name
+         * @param {Function} callback Callback (value, $field, $form)
+         * @param {string}   message  Default error message
+         * @return {void}
+         */
+        register: function (name, callback, message) {
+            this.validators[name] = {
+                callback: callback,
+                message: message || this.messages.invalid
+            };
+        },
+
+        // =====================================================================
+        // VALIDATION
+        // =====================================================================
+
+        /**
+         * Validate all fields in a form and show inline errors
+         *
+         * @param {jQuery} $form Form element
+         * @return {{isValid: boolean, firstInvalid: jQuery|null, errors: Array}}
+         */
+        validateForm: function ($form) {
+            const self = this;
+            const errors = [];
+            const seenRadios = {};
+
+            this.clearErrors($form);
+
+            $form.find('input, select, textarea').each(function () {
+                const $field = $(this);
+
+                if (!self.isValidatable(this)) {
+                    return;
+                }
+
+                // Validate radio groups once
+                if (this.type === 'radio') {
+                    if (seenRadios[this.name]) return;
+                    seenRadios[this.name] = true;
+                }
+
+                const message = self.validateField($field, $form);
+
+                if (message) {
+                    errors.push({ $field: $field, message: message });
+                    self.showError($field, message);
+                }
+            });
+
+            return {
+                isValid: errors.length === 0,
+                firstInvalid: errors.length ? errors[0].$field : null,
+                errors: errors
+            };
+        },
+
+        /**
+         * Whether a form control takes part in validation
+         *
+         * @param {HTMLElement} el Form control
+         * @return {boolean}
+         */
+        isValidatable: function (el) {
+            // :disabled also covers controls inside a disabled fieldset
+            return !!el.name &&
+                !$(el).is(':disabled') &&
+                el.type !== 'hidden' &&
+                el.type !== 'submit' &&
+                el.type !== 'button' &&
+                !this.isConditionallyHidden(el);
+        },
+
+        /**
+         * Whether a control sits in a conditional field whose condition is unmet
+         *
+         * Conditional wrappers render hidden and stay enabled until first
+         * shown. Checks the wrapper's own display rather than :visible, so
+         * fields on inactive tabs are still validated.
+         *
+         * @param {HTMLElement} el Form control
+         * @return {boolean}
+         */
+        isConditionallyHidden: function (el) {
+            return $(el).parents('[data-conditions], [data-depends], .has-dependency').filter(function () {
+                return $(this).css('display') === 'none';
+            }).length > 0;
+        },
+
+        /**
+         * Validate a single field
+         *
+         * @param {jQuery} $field Field element
+         * @param {jQuery} $form  Containing form
+         * @return {string|null} Error message or null when valid
+         */
+        validateField: function ($field, $form) {
+            const el = $field[0];
+            const value = this.getValue($field, $form);
+            const isEmpty = value === '' || (Array.isArray(value) && !value.length);
+            const type = (el.getAttribute('type') || '').toLowerCase();
+
+            if (el.hasAttribute('required') && isEmpty) {
+                return this.getMessage($field, 'required');
+            }
+
+            // Remaining rules only apply to filled-in fields
+            if (isEmpty) {
+                return null;
+            }
+
+            const text = Array.isArray(value) ? '' : String(value);
+
+            if (type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+                return this.getMessage($field, 'email');
+            }
+
+            if (type === 'url' && !this.isUrl(text)) {
+                return this.getMessage($field, 'url');
+            }
+
+            const rangeError = this.checkRange($field, text, type);
+            if (rangeError) {
+                return rangeError;
+            }
+
+            const minLength = parseInt(el.getAttribute('minlength'), 10);
+            if (!isNaN(minLength) && text.length < minLength) {
+                return this.getMessage($field, 'minlength', minLength);
+            }
+
+            const maxLength = parseInt(el.getAttribute('maxlength'), 10);
+            if (!isNaN(maxLength) && text.length > maxLength) {
+                return this.getMessage($field, 'maxlength', maxLength);
+            }
+
+            const pattern = el.getAttribute('pattern');
+            if (pattern && !this.matchesPattern(text, pattern)) {
+                return this.getMessage($field, 'pattern');
+            }
+
+            const matches = $field.data('matches');
+            if (matches) {
+                const $other = $form.find('[name="' + matches + '"]').first();
+                if ($other.length && String($other.val()) !== text) {
+                    return this.getMessage($field, 'matches');
+                }
+            }
+
+            return this.runCustomValidators($field, $form, value);
+        },
+
+        /**
+         * Check min, max and step for number and date inputs
+         *
+         * @param {jQuery} $field Field element
+         * @param {string} text   Field value
+         * @param {string} type   Input type
+         * @return {string|null} Error message or null
+         */
+        checkRange: function ($field, text, type) {
+            const el = $field[0];
+            const min = el.getAttribute('min');
+            const max = el.getAttribute('max');
+
+            if (type === 'date') {
+                if (min && text < min) return this.getMessage($field, 'min', min);
+                if (max && text > max) return this.getMessage($field, 'max', max);
+                return null;
+            }
+
+            if (type !== 'number' && type !== 'range') {
+                return null;
+            }
+
+            const number = parseFloat(text);
+            if (isNaN(number)) {
+                return this.getMessage($field, 'invalid');
+            }
+
+            if (min !== null && min !== '' && number < parseFloat(min)) {
+                return this.getMessage($field, 'min', min);
+            }
+
+            if (max !== null && max !== '' && number > parseFloat(max)) {
+                return this.getMessage($field, 'max', max);
+            }
+
+            const step = el.getAttribute('step');
+            if (step && step !== 'any' && parseFloat(step) > 0) {
+                const base = min !== null && min !== '' ? parseFloat(min) : 0;
+                const steps = (number - base) / parseFloat(step);
+
+                if (Math.abs(steps - Math.round(steps)) > 1e-8) {
+                    return this.getMessage($field, 'step', step);
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Run custom validators listed in data-validate
+         *
+         * @param {jQuery} $field Field element
+         * @param {jQuery} $form  Containing form
+         * @param {*}      value  Field value
+         * @return {string|null} Error message or null
+         */
+        runCustomValidators: function ($field, $form, value) {
+            const names = String($field.data('validate') || '').split(/\s+/).filter(Boolean);
+
+            for (let i = 0; i < names.length; i++) {
+                const validator = this.validators[names[i]];
+
+                if (!validator) {
+                    console.warn('WP Flyout: Unknown validator "' + names[i] + '"');
+                    continue;
+                }
+
+                const result = validator.callback(value, $field, $form);
+
+                if (result === false) {
+                    return this.getCustomMessage($field, names[i]) || validator.message;
+                }
+
+                if (typeof result === 'string') {
+                    return result;
+                }
+            }
+
+            return null;
+        },
+
+        // =====================================================================
+        // HELPERS
+        // =====================================================================
+
+        /**
+         * Get a field's value, resolving checkbox and radio state
+         *
+         * @param {jQuery} $field Field element
+         * @param {jQuery} $form  Containing form
+         * @return {string|Array}
+         */
+        getValue: function ($field, $form) {
+            const el = $field[0];
+
+            if (el.type === 'checkbox') {
+                return el.checked ? el.value : '';
+            }
+
+            if (el.type === 'radio') {
+                return $form.find('input[type="radio"]').filter(function () {
+                    return this.name === el.name && this.checked;
+                }).val() || '';
+            }
+
+            const value = $field.val();
+            return value === null || value === undefined ? '' : value;
+        },
+
+        /**
+         * Resolve the message for a rule, honouring data-messages overrides
+         *
+         * @param {jQuery} $field Field element
+         * @param {string} rule   Rule name
+         * @param {*}      arg    Rule argument for %s
+         * @return {string}
+         */
+        getMessage: function ($field, rule, arg) {
+            const message = this.getCustomMessage($field, rule) || this.messages[rule] || this.messages.invalid;
+            return arg !== undefined ? sprintf(message, arg) : message;
+        },
+
+        /**
+         * Get a per-field message override from data-messages
+         *
+         * @param {jQuery} $field Field element
+         * @param {string} rule   Rule or validator name
+         * @return {string|undefined}
+         */
+        getCustomMessage: function ($field, rule) {
+            const messages = $field.data('messages');
+            return messages && typeof messages === 'object' ? messages[rule] : undefined;
+        },
+
+        /**
+         * Check a value is an absolute URL
+         *
+         * @param {string} value Value to check
+         * @return {boolean}
+         */
+        isUrl: function (value) {
+            try {
+                new URL(value);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Match a value against an HTML pattern attribute
+         *
+         * @param {string} value   Value to check
+         * @param {string} pattern Pattern (implicitly anchored)
+         * @return {boolean}
+         */
+        matchesPattern: function (value, pattern) {
+            try {
+                return new RegExp('^(?:' + pattern + ')$', 'u').test(value);
+            } catch (e) {
+                return true;
+            }
+        },
+
+        // =====================================================================
+        // ERROR DISPLAY
+        // =====================================================================
+
+        /**
+         * Show an inline error for a field
+         *
+         * @param {jQuery} $field  Field element
+         * @param {string} message Error message
+         * @return {void}
+         */
+        showError: function ($field, message) {
+            this.clearError($field);
+
+            const errorId = (this.getFieldKey($field) + '-error').replace(/[^\w-]/g, '-');
+            const $error = $('<p class="wp-flyout-field-error" role="alert"></p>')
+                .attr('id', errorId)
+                .text(message);
+
+            $field.addClass('error').attr({
+                'aria-invalid': 'true',
+                'aria-describedby': errorId
+            });
+
+            const $wrapper = $field.closest('.wp-flyout-field');
+
+            if ($wrapper.length) {
+                $wrapper.addClass('has-error');
+
+                const $description = $wrapper.children('.description');
+                if ($description.length) {
+                    $description.before($error);
+                } else {
+                    $wrapper.append($error);
+                }
+            } else {
+                // Place after Select2 containers or the field itself
+                const $after = $field.next('.select2-container').length ? $field.next('.select2-container') : $field;
+                $after.after($error);
+            }
+        },
+
+        /**
+         * Clear the inline error for a field
+         *
+         * @param {jQuery} $field Field element
+         * @return {void}
+         */
+        clearError: function ($field) {
+            const errorId = $field.attr('aria-describedby');
+
+            if (errorId) {
+                $('#' + errorId + '.wp-flyout-field-error').remove();
+            }
+
+            $field.removeClass('error').removeAttr('aria-invalid aria-describedby');
+
+            const $wrapper = $field.closest('.wp-flyout-field');
+            if ($wrapper.length && !$wrapper.find('[aria-invalid="true"]').length) {
+                $wrapper.removeClass('has-error');
+            }
+        },
+
+        /**
+         * Clear all inline errors in a form
+         *
+         * @param {jQuery} $form Form element
+         * @return {void}
+         */
+        clearErrors: function ($form) {
+            $form.find('.wp-flyout-field-error').remove();
+            $form.find('.has-error').removeClass('has-error');
+            $form.find('[aria-invalid="true"]').removeClass('error').removeAttr('aria-invalid aria-describedby');
+        },
+
+        /**
+         * Show server-side field errors inline
+         *
+         * Accepts a map keyed by field name, including nested names such as
+         * files[2][url]. Nested objects ({files: {2: {url: '...'}}}) and dot
+         * notation (files.2.url) are normalized to bracket names.
+         *
+         * @param {jQuery} $form       Form element
+         * @param {Object} fieldErrors Map of field name to message
+         * @return {{firstInvalid: jQuery|null, unmatched: Array<string>}}
+         */
+        showFieldErrors: function ($form, fieldErrors) {
+            const self = this;
+            const flat = this.flattenErrors(fieldErrors);
+            const unmatched = [];
+            let firstInvalid = null;
+
+            this.clearErrors($form);
+
+            // Walk form controls in DOM order so the first error is the topmost one
+            const $controls = $form.find('input, select, textarea').filter(function () {
+                return !!this.name && this.type !== 'hidden';
+            });
+
+            Object.keys(flat).forEach(function (name) {
+                const $field = $controls.filter(function () {
+                    return this.name === name || this.name === name + '[]';
+                }).first();
+
+                if (!$field.length) {
+                    unmatched.push(flat[name]);
+                    return;
+                }
+
+                self.showError($field, flat[name]);
+
+                if (!firstInvalid || $controls.index($field) < $controls.index(firstInvalid)) {
+                    firstInvalid = $field;
+                }
+            });
+
+            return { firstInvalid: firstInvalid, unmatched: unmatched };
+        },
+
+        /**
+         * Flatten a (possibly nested) field error map to bracket names
+         *
+         * @param {Object} errors Error map
+         * @param {string} prefix Name prefix for nested keys
+         * @return {Object<string, string>}
+         */
+        flattenErrors: function (errors, prefix) {
+            const self = this;
+            let flat = {};
+
+            Object.keys(errors || {}).forEach(function (key) {
+                let name = key;
+
+                if (!prefix && key.indexOf('.') !== -1 && key.indexOf('[') === -1) {
+                    const parts = key.split('.');
+                    name = parts.shift() + parts.map(function (part) {
+                        return '[' + part + ']';
+                    }).join('');
+                } else if (prefix) {
+                    name = prefix + '[' + key + ']';
+                }
+
+                const message = errors[key];
+
+                if (message && typeof message === 'object' && !Array.isArray(message)) {
+                    flat = $.extend(flat, self.flattenErrors(message, name));
+                } else if (message) {
+                    flat[name] = Array.isArray(message) ? message.join(' ') : String(message);
+                }
+            });
+
+            return flat;
+        },
+
+        /**
+         * Get a stable key for a field (id, or name for unnamed ids)
+         *
+         * @param {jQuery} $field Field element
+         * @return {string}
+         */
+        getFieldKey: function ($field) {
+            return $field.attr('id') || $field.attr('name') || 'field';
+        },
+
+        /**
+         * Make a field visible: switch to its tab and open its accordion section
+         *
+         * @param {jQuery} $field Field element
+         * @return {void}
+         */
+        revealField: function ($field) {
+            const $pane = $field.closest('.wp-flyout-tab-content');
+
+            if ($pane.length && !$pane.hasClass('active')) {
+                WPFlyout.activateTab($pane.closest('.wp-flyout'), $pane.attr('data-tab-panel'));
+            }
+
+            const $section = $field.closest('.accordion-section');
+
+            if ($section.length && !$section.hasClass('is-open') && window.WPFlyoutAccordion) {
+                WPFlyoutAccordion.open(
+                    $section,
+                    $section.find('.accordion-content').first(),
+                    $section.find('.accordion-header').first()
+                );
+            }
+        },
+
+        /**
+         * Reveal and focus a field
+         *
+         * @param {jQuery} $field Field element
+         * @return {void}
+         */
+        focusField: function ($field) {
+            this.revealField($field);
+
+            // Select2 hides the original select — focus its selection box
+            const $select2 = $field.next('.select2-container').find('.select2-selection');
+            ($select2.length ? $select2 : $field).trigger('focus');
+        }
+    };
+
+    // Initialize on ready
+    $(function () {
+        WPFlyout.Validation.init();
+    });
+
+})(jQuery);
@@ -12,7 +12,8 @@
         config: {
             animationDuration: 300,
             animationDelay: 10,
-            focusDelay: 350
+            focusDelay: 350,
+            zIndex: 160000
         },
 
         // Track active flyouts
@@ -20,21 +21,39 @@
 
         /**
          * Open a flyout by ID (flyout must already exist in DOM)
+         *
+         * @param {string} id      Flyout element ID
+         * @param {Object} options Optional settings (returnFocus: element to focus on close)
          */
-        open: function(id) {
+        open: function(id, options) {
             const $flyout = $('#' + id);
+            options = options || {};
 
             if (!$flyout.length) {
                 console.warn('WP Flyout: Element not found with ID:', id);
                 return false;
             }
 
+            // Dialog semantics and focus restoration target
+            this.setupDialog($flyout);
+            $flyout.data('returnFocus', options.returnFocus || document.activeElement);
+
             // Show overlay
             this.showOverlay();
 
             // Add body class
             $('body').addClass('wp-flyout-open');
 
+            // Stack over the current top flyout
+            const parentId = this.getLastId();
+            if (parentId && parentId !== id) {
+                $('#' + parentId).addClass('wp-flyout-covered').attr('inert', '');
+                $flyout.addClass('wp-flyout-stacked')
+                    .css('z-index', this.config.zIndex + this.active.length);
+            } else if (!parentId) {
+                this.setBackgroundInert(true);
+            }
+
             // Activate with animation delay
             setTimeout(() => {
                 $flyout.addClass('active');
@@ -50,10 +69,14 @@
 
             // Focus management after animation
             setTimeout(() => {
-                // Focus first visible input
-                $flyout.find('input:visible:enabled, select:visible:enabled, textarea:visible:enabled')
-                    .first()
-                    .focus();
+                // Focus first visible input, falling back to the dialog itself
+                const $input = $flyout.find('input:visible:enabled, select:visible:enabled, textarea:visible:enabled').first();
+
+                if ($input.length) {
+                    $input.focus();
+                } else {
+                    $flyout.focus();
+                }
 
                 // Trigger events
                 $(document).trigger('wpflyout:opened', { id: id, element: $flyout[0] });
@@ -69,7 +92,8 @@
         close: function(id) {
             const $flyout = $('#' + id);
 
-            if (!$flyout.length) return false;
+            // Already closed or closing
+            if (!$flyout.length || !this.active.includes(id)) return false;
 
             // Trigger closing event (cancelable)
             const event = $.Event('wpflyout:closing');
@@ -85,6 +109,20 @@
             // Remove from active list
             this.active = this.active.filter(activeId => activeId !== id);
 
+            // Reveal the flyout underneath
+            const topId = this.getLastId();
+            if (topId) {
+                $('#' + topId).removeClass('wp-flyout-covered').removeAttr('inert');
+            } else {
+                this.setBackgroundInert(false);
+            }
+
+            // Return focus to the element that opened the flyout
+            const returnFocus = $flyout.data('returnFocus');
+            if (returnFocus && document.body.contains(returnFocus)) {
+                returnFocus.focus();
+            }
+
             // Clean up after animation
             setTimeout(() => {
                 // Remove dynamically created flyouts
@@ -104,6 +142,46 @@
             return true;
         },
 
+        /**
+         * Swap an open flyout for another element without closing animations
+         *
+         * The new flyout takes over the old one's stack position and return
+         * focus target. wpflyout:closed fires for the old ID with replacedBy,
+         * then wpflyout:opened and flyout:ready for the new one.
+         *
+         * @param {string}             id      Open flyout element ID
+         * @param {jQuery|HTMLElement} element Replacement flyout element
+         * @return {jQuery|boolean} The new flyout, or false if id is not open
+         */
+        replace: function(id, element) {
+            const $old = $('#' + id);
+            const $flyout = $(element);
+            const newId = $flyout.attr('id');
+
+            if (!$old.length || !this.active.includes(id)) return false;
+
+            $flyout.addClass('active')
+                .toggleClass('wp-flyout-stacked', $old.hasClass('wp-flyout-stacked'))
+                .css('z-index', $old[0].style.zIndex)
+                .data('returnFocus', $old.data('returnFocus'));
+
+            $old.replaceWith($flyout);
+            this.active = this.active.map(activeId => activeId === id ? newId : activeId);
+
+            this.setupDialog($flyout);
+            this.initTabs($flyout);
+
+            $(document).trigger('wpflyout:closed', { id: id, replacedBy: newId });
+
+            // Let callers bind handlers before the ready events, as with open()
+            setTimeout(() => {
+                $(document).trigger('wpflyout:opened', { id: newId, element: $flyout[0], replaced: id });
+                $flyout.trigger('flyout:ready');
+            }, 0);
+
+            return $flyout;
+        },
+
         /**
          * Close all flyouts
          */
@@ -111,6 +189,29 @@
             [...this.active].forEach(id => this.close(id));
         },
 
+        /**
+         * Close every flyout stacked above the given one
+         *
+         * Stops at the first flyout that refuses to close.
+         *
+         * @param {string} id Flyout ID to return to
+         * @return {boolean} True if the target flyout is now on top
+         */
+        closeAbove: function(id) {
+            const index = this.active.indexOf(id);
+            if (index === -1) return false;
+
+            const above = this.active.slice(index + 1).reverse();
+
+            for (let i = 0; i < above.length; i++) {
+                if (!this.close(above[i])) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
         /**
          * Get the last opened flyout ID
          */
@@ -118,6 +219,97 @@
             return this.active[this.active.length - 1] || null;
         },
 
+        /**
+         * Apply modal dialog attributes to a flyout
+         */
+        setupDialog: function($flyout) {
+            const id = $flyout.attr('id');
+            const $title = $flyout.find('.wp-flyout-title').first();
+            const $subtitle = $flyout.find('.wp-flyout-subtitle').first();
+
+            $flyout.attr({ role: 'dialog', 'aria-modal': 'true' });
+
+            if (!$flyout.is('[tabindex]')) {
+                $flyout.attr('tabindex', '-1');
+            }
+
+            if ($title.length) {
+                if (!$title.attr('id')) $title.attr('id', id + '-title');
+                $flyout.attr('aria-labelledby', $title.attr('id'));
+            }
+
+            if ($subtitle.length) {
+                if (!$subtitle.attr('id')) $subtitle.attr('id', id + '-subtitle');
+                $flyout.attr('aria-describedby', $subtitle.attr('id'));
+            }
+        },
+
+        /**
+         * Make the page behind the flyouts inert (or restore it)
+         */
+        setBackgroundInert: function(inert) {
+            if (inert) {
+                $('body').children().not('.wp-flyout, .wp-flyout-overlay, script, style, link').each(function() {
+                    if (!this.hasAttribute('inert')) {
+                        $(this).attr({ inert: '', 'data-wp-flyout-inert': '' });
+                    }
+                });
+            } else {
+                $('[data-wp-flyout-inert]').removeAttr('inert data-wp-flyout-inert');
+            }
+        },
+
+        /**
+         * Get tabbable elements within a flyout
+         */
+        getFocusable: function($flyout) {
+            return $flyout
+                .find('a[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]')
+                .filter(':visible')
+                .filter(function() {
+                    return !this.disabled &&
+                        this.getAttribute('tabindex') !== '-1' &&
+                        !$(this).closest('[inert]').length;
+                });
+        },
+
+        /**
+         * Keep Tab / Shift+Tab focus inside the top flyout
+         */
+        trapFocus: function(e) {
+            const $flyout = $('#' + this.getLastId());
+            if (!$flyout.length) return;
+
+            const active = document.activeElement;
+
+            // Leave focus alone inside other modals (e.g. the media library)
+            if (!$flyout[0].contains(active) && active !== document.body && !$(active).closest('[inert]').length) {
+                return;
+            }
+
+            const $focusable = this.getFocusable($flyout);
+
+            if (!$focusable.length) {
+                e.preventDefault();
+                $flyout.focus();
+                return;
+            }
+
+            const first = $focusable[0];
+            const last = $focusable[$focusable.length - 1];
+
+            if (!$flyout[0].contains(active)) {
+                e.preventDefault();
+                (e.shiftKey ? last : first).focus();
+            } else if (e.shiftKey && (active === first || active === $flyout[0])) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
         /**
          * Show overlay
          */
@@ -145,30 +337,90 @@
 
         /**
          * Initialize tab switching
+         *
+         * Tabs follow the WAI-ARIA tabs pattern: only the active tab is in
+         * the Tab order, Left/Right/Home/End move between tabs and select them.
          */
         initTabs: function($flyout) {
-            $flyout.off('click.tabs').on('click.tabs', '.wp-flyout-tab', function(e) {
+            const $tabs = $flyout.find('.wp-flyout-tab');
+
+            $tabs.each(function() {
+                $(this).attr('tabindex', $(this).hasClass('active') ? '0' : '-1');
+            });
+
+            $flyout.off('click.tabs').on('click.tabs', '.wp-flyout-tab', (e) => {
                 e.preventDefault();
+                this.activateTab($flyout, $(e.currentTarget).data('tab'));
+            });
 
-                const $tab = $(this);
-                if ($tab.hasClass('disabled')) return;
+            $flyout.off('keydown.tabs').on('keydown.tabs', '.wp-flyout-tab', (e) => {
+                const $enabled = $flyout.find('.wp-flyout-tab').not('.disabled');
+                const index = $enabled.index(e.currentTarget);
+                let next = null;
+
+                switch (e.key) {
+                    case 'ArrowLeft':
+                        next = (index - 1 + $enabled.length) % $enabled.length;
+                        break;
+                    case 'ArrowRight':
+                        next = (index + 1) % $enabled.length;
+                        break;
+                    case 'Home':
+                        next = 0;
+                        break;
+                    case 'End':
+                        next = $enabled.length - 1;
+                        break;
+                    case ' ':
+                        e.preventDefault();
+                        this.activateTab($flyout, $(e.currentTarget).data('tab'));
+                        return;
+                    default:
+                        return;
+                }
 
-                const tabId = $tab.data('tab');
+                // Alt+Arrow is the tab shortcut from anywhere in the flyout
+                if (e.altKey || e.ctrlKey || e.metaKey || next === null || index === -1) return;
 
-                // Update active states
-                $flyout.find('.wp-flyout-tab').removeClass('active').attr('aria-selected', 'false');
-                $tab.addClass('active').attr('aria-selected', 'true');
+                e.preventDefault();
+                this.activateTab($flyout, $enabled.eq(next).data('tab'), true);
+            });
+        },
 
-                // Switch content
-                $flyout.find('.wp-flyout-tab-content').removeClass('active');
-                $flyout.find('#tab-' + tabId).addClass('active');
+        /**
+         * Show a tab and its panel
+         *
+         * @param {jQuery}  $flyout Flyout element
+         * @param {string}  tabId   Tab identifier (data-tab)
+         * @param {boolean} focus   Move focus to the tab
+         * @return {boolean} False if the tab is missing or disabled
+         */
+        activateTab: function($flyout, tabId, focus) {
+            const $tab = $flyout.find('.wp-flyout-tab').filter(function() {
+                return String($(this).data('tab')) === String(tabId);
+            }).first();
 
-                // Trigger event
-                $(document).trigger('wpflyout:tab-changed', {
-                    flyoutId: $flyout.attr('id'),
-                    tabId: tabId
-                });
+            if (!$tab.length || $tab.hasClass('disabled')) return false;
+
+            // Update active states
+            $flyout.find('.wp-flyout-tab').removeClass('active').attr({ 'aria-selected': 'false', tabindex: '-1' });
+            $tab.addClass('active').attr({ 'aria-selected': 'true', tabindex: '0' });
+
+            if (focus) {
+                $tab.trigger('focus');
+            }
+
+            // Switch content
+            $flyout.find('.wp-flyout-tab-content').removeClass('active');
+            $flyout.find('#' + $tab.attr('aria-controls')).addClass('active');
+
+            // Trigger event
+            $(document).trigger('wpflyout:tab-changed', {
+                flyoutId: $flyout.attr('id'),
+                tabId: String(tabId)
             });
+
+            return true;
         },
 
         /**
@@ -177,6 +429,7 @@
         init: function() {
             // Close button
             $(document).on('click.wpflyout', '.wp-flyout-close', (e) => {
+                e.preventDefault();
                 const flyoutId = $(e.currentTarget).closest('.wp-flyout').attr('id');
                 this.close(flyoutId);
             });
@@ -187,10 +440,14 @@
                 if (lastId) this.close(lastId);
             });
 
-            // Escape key to close
+            // Escape key to close, Tab to cycle focus within the top flyout
             $(document).on('keydown.wpflyout', (e) => {
-                if (e.key === 'Escape' && this.active.length) {
+                if (!this.active.length) return;
+
+                if (e.key === 'Escape') {
                     this.close(this.getLastId());
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e);
                 }
             });
         }
@@ -46,7 +46,14 @@ class Assets {
 	private static array $core_scripts = [
 		'js/wp-flyout.js',
 		'js/core/forms.js',
+		'js/core/hooks.js',
+		'js/core/dialog.js',
+		'js/core/shortcuts.js',
+		'js/core/money.js',
+		'js/core/validation.js',
+		'js/core/rest.js',
 		'js/core/manager.js',
+		'js/core/commands.js',
 		'js/core/alert.js',
 		'js/core/conditional-fields.js'
 	];
@@ -219,7 +226,7 @@ class Assets {
 		self::$last_handles['style'] = 'wp-flyout';
 
 		// Register core JavaScript files
-		$js_deps = [ 'jquery' ];
+		$js_deps = [ 'jquery', 'wp-i18n', 'heartbeat' ];
 		foreach ( self::$core_scripts as $js_file ) {
 			$handle = 'wp-flyout-' . basename( $js_file, '.js' );
 
@@ -230,6 +237,7 @@ class Assets {
 				$js_deps,
 				$version
 			);
+			self::set_script_translations( $handle );
 
 			// Add global object to first script
 			if ( $js_file === self::$core_scripts[0] ) {
@@ -278,6 +286,32 @@ class Assets {
 		}
 	}
 
+	/**
+	 * Load translations for a registered script
+	 *
+	 * Scripts use the 'wp-flyout' text domain. JSON translation files are
+	 * looked up in the standard WordPress languages directories unless the
+	 * 'wp_flyout_languages_path' filter points elsewhere.
+	 *
+	 * @param string $handle Script handle
+	 *
+	 * @return void
+	 * @since 7.1.0
+	 */
+	private static function set_script_translations( string $handle ): void {
+		/**
+		 * Filter the directory holding wp-flyout JSON translation files
+		 *
+		 * @param string $path   Absolute path, or empty for the WordPress default
+		 * @param string $handle Script handle being registered
+		 *
+		 * @since 7.1.0
+		 */
+		$path = (string) apply_filters( 'wp_flyout_languages_path', '', $handle );
+
+		wp_set_script_translations( $handle, 'wp-flyout', $path );
+	}
+
 	/**
 	 * Register component assets
 	 *
@@ -304,6 +338,7 @@ class Assets {
 					$deps,
 					$version
 				);
+				self::set_script_translations( $handle );
 			}
 
 			// Register component style if exists
@@ -0,0 +1,152 @@
+<?php
+/**
+ * Action Commands
+ *
+ * Builders for the commands an action callback can return. The browser
+ * runs them in order once the /action response arrives:
+ *
+ *     'callback' => function ( $post_data ) {
+ *         return [
+ *             'message'  => __( 'Order resent.', 'shop' ),
+ *             'commands' => [
+ *                 Command::set_field( 'status', 'sent' ),
+ *                 Command::replace_component( 'order_notes' ),
+ *             ],
+ *         ];
+ *     },
+ *
+ * @package     ArrayPress\RegisterFlyouts
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       7.1.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterFlyouts;
+
+/**
+ * Class Command
+ *
+ * Each builder returns a plain array, so callbacks may also write the
+ * arrays by hand.
+ */
+class Command {
+
+	/**
+	 * Set a form field in the flyout by name.
+	 *
+	 * @param string $name  Field name, e.g. 'status' or 'address[city]'.
+	 * @param mixed  $value Scalar, or a list for checkboxes and multi-selects.
+	 *
+	 * @return array
+	 */
+	public static function set_field( string $name, $value ): array {
+		return [ 'type' => 'set_field', 'name' => $name, 'value' => $value ];
+	}
+
+	/**
+	 * Re-render a field or component in place.
+	 *
+	 * Without HTML, the field is rendered from the flyout configuration
+	 * with the record's data loaded fresh after the callback ran.
+	 *
+	 * @param string      $name Field key.
+	 * @param string|null $html Markup to use instead.
+	 *
+	 * @return array
+	 */
+	public static function replace_component( string $name, ?string $html = null ): array {
+		$command = [ 'type' => 'replace_component', 'name' => $name ];
+
+		if ( $html !== null ) {
+			$command['html'] = $html;
+		}
+
+		return $command;
+	}
+
+	/**
+	 * Show a notice at the top of the flyout.
+	 *
+	 * @param string $message Notice text.
+	 * @param string $level   success, error, warning, or info.
+	 *
+	 * @return array
+	 */
+	public static function alert( string $message, string $level = 'success' ): array {
+		return [ 'type' => 'alert', 'message' => $message, 'level' => $level ];
+	}
+
+	/**
+	 * Open another flyout on top of the current one.
+	 *
+	 * @param string     $flyout  Flyout ID.
+	 * @param int|string $item_id Record ID, or 0 for a new record.
+	 * @param array      $args    Optional: 'manager' (defaults to the current
+	 *                            manager), 'tab', 'title', 'subtitle'.
+	 *
+	 * @return array
+	 */
+	public static function open_flyout( string $flyout, $item_id = 0, array $args = [] ): array {
+		return array_merge( $args, [ 'type' => 'open_flyout', 'flyout' => $flyout, 'item_id' => $item_id ] );
+	}
+
+	/**
+	 * Close the flyout the action ran in.
+	 *
+	 * @return array
+	 */
+	public static function close(): array {
+		return [ 'type' => 'close' ];
+	}
+
+	/**
+	 * Download a file from a URL, such as a signed storage link.
+	 *
+	 * Same-site files are fetched with progress shown on the button. Other
+	 * hosts are handed to the browser, unless 'stream' is set because they
+	 * allow cross-origin requests. To send a file built by the callback
+	 * itself, return a Download instead.
+	 *
+	 * @param string $url      File URL.
+	 * @param string $filename File name; defaults to the one the server sends.
+	 * @param array  $args     Optional: 'stream' (bool).
+	 *
+	 * @return array
+	 */
+	public static function download( string $url, string $filename = '', array $args = [] ): array {
+		return array_merge( $args, [ 'type' => 'download', 'url' => $url, 'filename' => $filename ] );
+	}
+
+	/**
+	 * Trigger a jQuery event on the flyout; it bubbles up to document.
+	 *
+	 * @param string $event Event name, e.g. 'shop:order-resent'.
+	 * @param array  $data  Passed to handlers.
+	 *
+	 * @return array
+	 */
+	public static function trigger( string $event, array $data = [] ): array {
+		return [ 'type' => 'trigger', 'event' => $event, 'data' => $data ];
+	}
+
+	/**
+	 * Load the flyout again with fresh data, keeping its tab and scroll position.
+	 *
+	 * @return array
+	 */
+	public static function refresh(): array {
+		return [ 'type' => 'refresh' ];
+	}
+
+	/**
+	 * Reload the page.
+	 *
+	 * @return array
+	 */
+	public static function reload(): array {
+		return [ 'type' => 'reload' ];
+	}
+
+}
@@ -86,6 +86,45 @@ class ActionButtons implements Renderable {
         return ob_get_clean();
     }
 
+    /**
+     * Build data attributes for an in-flyout confirmation dialog
+     *
+     * Accepts a message string or an array with message, title, button
+     * (confirm label), type (text to type before confirming) and destructive.
+     *
+     * @param string|array $confirm     Confirmation message or options
+     * @param bool         $destructive Default destructive styling
+     *
+     * @return array Data attribute values keyed without the data- prefix
+     */
+    public static function confirm_attributes( $confirm, bool $destructive = false ): array {
+        if ( ! is_array( $confirm ) ) {
+            $confirm = [ 'message' => (string) $confirm ];
+        }
+
+        $confirm = wp_parse_args( $confirm, [
+                'message'     => '',
+                'title'       => '',
+                'button'      => '',
+                'type'        => '',
+                'destructive' => $destructive,
+        ] );
+
+        $attrs = [ 'confirm' => $confirm['message'] ];
+
+        foreach ( [ 'title', 'button', 'type' ] as $key ) {
+            if ( $confirm[ $key ] !== '' ) {
+                $attrs[ 'confirm-' . $key ] = $confirm[ $key ];
+            }
+        }
+
+        if ( $confirm['destructive'] ) {
+            $attrs['confirm-destructive'] = 'true';
+        }
+
+        return $attrs;
+    }
+
     /**
      * Render single button
      *
@@ -98,8 +137,9 @@ class ActionButtons implements Renderable {
                 'style'   => 'secondary', // primary, secondary, link, danger
                 'icon'    => '',
                 'data'    => [],
-                'confirm' => '',
-                'enabled' => true,
+                'confirm'  => '',
+                'enabled'  => true,
+                'shortcut' => '', // e.g. 'mod+e' (Cmd on macOS, Ctrl elsewhere)
         ];
 
         $button = wp_parse_args( $button, $defaults );
@@ -120,7 +160,14 @@ class ActionButtons implements Renderable {
         ];
 
         if ( ! empty( $button['confirm'] ) ) {
-            $data_attrs['confirm'] = $button['confirm'];
+            $data_attrs = array_merge(
+                    $data_attrs,
+                    self::confirm_attributes( $button['confirm'], $button['style'] === 'danger' )
+            );
+        }
+
+        if ( ! empty( $button['shortcut'] ) ) {
+            $data_attrs['shortcut'] = $button['shortcut'];
         }
 
         // Add custom data attributes.
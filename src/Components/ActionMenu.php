@@ -147,7 +147,9 @@ class ActionMenu implements Renderable {
             $data_attrs .= sprintf( ' data-action="%s"', esc_attr( $item['action'] ) );
 
             if ( $item['confirm'] ) {
-                $data_attrs .= sprintf( ' data-confirm="%s"', esc_attr( $item['confirm'] ) );
+                foreach ( ActionButtons::confirm_attributes( $item['confirm'], (bool) $item['danger'] ) as $key => $value ) {
+                    $data_attrs .= sprintf( ' data-%s="%s"', esc_attr( $key ), esc_attr( (string) $value ) );
+                }
             }
 
             foreach ( $item['data'] as $key => $value ) {
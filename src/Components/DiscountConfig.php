@@ -56,7 +56,7 @@ class DiscountConfig implements Renderable {
                 'rate_type'          => 'percent',
                 'amount'             => 0,
                 'currency'           => 'USD',
-                'currency_symbol'    => '$',
+                'currency_symbol'    => '',
                 'duration'           => 'once',
                 'duration_in_months' => null,
                 'max_redemptions'    => null,
@@ -86,8 +86,9 @@ class DiscountConfig implements Renderable {
             return number_format( $amount / 100, 2, '.', '' );
         }
 
+        // Decimal places follow the currency (JPY 0, KWD 3); the browser localizes them
         if ( function_exists( 'from_currency_cents' ) ) {
-            return number_format( from_currency_cents( $amount, $currency ), 2, '.', '' );
+            return (string) from_currency_cents( $amount, $currency );
         }
 
         return number_format( $amount / 100, 2, '.', '' );
@@ -121,7 +122,8 @@ class DiscountConfig implements Renderable {
             <?php endif; ?>
 
             <div class="<?php echo esc_attr( $classes ); ?>"
-                 data-name="<?php echo $name; ?>">
+                 data-name="<?php echo $name; ?>"
+                 data-currency="<?php echo esc_attr( $currency ); ?>">
 
                 <?php $this->render_amount( $name, $display_amount, $symbol, $currency ); ?>
 
@@ -152,7 +154,7 @@ class DiscountConfig implements Renderable {
      *
      * @param string $name           Field name prefix
      * @param string $display_amount Formatted amount for display
-     * @param string $symbol         Currency symbol (e.g. $, €, £)
+     * @param string $symbol         Currency symbol (e.g. $, €, £), empty to use the locale's
      * @param string $currency       Currency code (e.g. USD) for hidden field
      *
      * @return void
@@ -170,12 +172,19 @@ class DiscountConfig implements Renderable {
                        placeholder="0.00"
                        inputmode="decimal"
                        autocomplete="off"
+                       data-money="<?php echo esc_attr( $currency ); ?>"
+                       <?php echo $rate_type === 'percent' ? 'data-decimals="2"' : ''; ?>
                        class="discount-config-amount-input">
                 <select name="<?php echo $name; ?>[rate_type]"
                         class="discount-config-type-select"
                         aria-label="<?php esc_attr_e( 'Discount type', 'wp-flyout' ); ?>">
                     <option value="percent" <?php selected( $rate_type, 'percent' ); ?>>%</option>
-                    <option value="fixed" <?php selected( $rate_type, 'fixed' ); ?>><?php echo esc_html( $symbol ); ?></option>
+                    <?php if ( $symbol !== '' ) : ?>
+                        <option value="fixed" <?php selected( $rate_type, 'fixed' ); ?>><?php echo esc_html( $symbol ); ?></option>
+                    <?php else : ?>
+                        <option value="fixed" <?php selected( $rate_type, 'fixed' ); ?>
+                                data-money-symbol="<?php echo esc_attr( $currency ); ?>"><?php echo esc_html( $currency ); ?></option>
+                    <?php endif; ?>
                 </select>
             </div>
             <input type="hidden"
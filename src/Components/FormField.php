@@ -97,6 +97,12 @@ class FormField implements Renderable {
                 'wrapper_class' => '',
                 'data_callback' => null,
                 'condition'     => null,
+                'minlength'     => null,
+                'maxlength'     => null,
+                'pattern'       => '',
+                'matches'       => '',
+                'validate'      => '',
+                'messages'      => [],
         ];
 
         $type_defaults = $this->get_type_defaults( $config['type'] ?? 'text' );
@@ -311,14 +317,14 @@ class FormField implements Renderable {
                 'placeholder' => $this->config['placeholder'],
         ];
 
-        if ( $type === 'number' ) {
-            if ( $this->config['min'] !== null ) {
+        if ( $type === 'number' || $type === 'date' ) {
+            if ( ( $this->config['min'] ?? null ) !== null ) {
                 $attrs['min'] = $this->config['min'];
             }
-            if ( $this->config['max'] !== null ) {
+            if ( ( $this->config['max'] ?? null ) !== null ) {
                 $attrs['max'] = $this->config['max'];
             }
-            if ( $this->config['step'] !== null ) {
+            if ( ( $this->config['step'] ?? null ) !== null ) {
                 $attrs['step'] = $this->config['step'];
             }
         }
@@ -340,11 +346,54 @@ class FormField implements Renderable {
             $html .= ' readonly';
         }
 
+        $html .= $this->render_validation_attributes();
         $html .= '>';
 
         return $html;
     }
 
+    /**
+     * Render client-side validation attributes
+     *
+     * Outputs the length and pattern constraints plus the data attributes
+     * read by WPFlyout.Validation (matches, custom validators, messages).
+     *
+     * @param bool $constraints Include minlength, maxlength and pattern; not valid on <select>.
+     *
+     * @return string Attribute HTML with a leading space, or empty string.
+     * @since 7.1.0
+     */
+    private function render_validation_attributes( bool $constraints = true ): string {
+        $html = '';
+
+        if ( $constraints ) {
+            foreach ( [ 'minlength', 'maxlength' ] as $attr ) {
+                if ( $this->config[ $attr ] !== null && $this->config[ $attr ] !== '' ) {
+                    $html .= sprintf( ' %s="%d"', $attr, absint( $this->config[ $attr ] ) );
+                }
+            }
+
+            if ( $this->config['pattern'] !== '' ) {
+                $html .= sprintf( ' pattern="%s"', esc_attr( $this->config['pattern'] ) );
+            }
+        }
+
+        if ( $this->config['matches'] !== '' ) {
+            $html .= sprintf( ' data-matches="%s"', esc_attr( $this->config['matches'] ) );
+        }
+
+        if ( ! empty( $this->config['validate'] ) ) {
+            $validate = is_array( $this->config['validate'] ) ? implode( ' ', $this->config['validate'] ) : $this->config['validate'];
+            $html     .= sprintf( ' data-validate="%s"', esc_attr( $validate ) );
+        }
+
+        if ( ! empty( $this->config['messages'] ) && is_array( $this->config['messages'] ) ) {
+            $html .= sprintf( " data-messages='%s'", esc_attr( wp_json_encode( $this->config['messages'] ) ) );
+        }
+
+        return $html;
+    }
+
     /**
      * Render hidden input
      *
@@ -367,7 +416,7 @@ class FormField implements Renderable {
      */
     private function render_textarea(): string {
         return sprintf(
-                '<textarea id="%s" name="%s" class="%s" rows="%d" cols="%d" placeholder="%s" %s %s %s>%s</textarea>',
+                '<textarea id="%s" name="%s" class="%s" rows="%d" cols="%d" placeholder="%s" %s %s %s%s>%s</textarea>',
                 esc_attr( $this->config['id'] ),
                 esc_attr( $this->config['name'] ),
                 esc_attr( $this->config['class'] ),
@@ -377,6 +426,7 @@ class FormField implements Renderable {
                 $this->config['required'] ? 'required' : '',
                 $this->config['disabled'] ? 'disabled' : '',
                 $this->config['readonly'] ? 'readonly' : '',
+                $this->render_validation_attributes(),
                 esc_textarea( $this->config['value'] )
         );
     }
@@ -395,7 +445,7 @@ class FormField implements Renderable {
                 class="<?php echo esc_attr( $this->config['class'] ); ?>"
                 <?php echo $this->config['required'] ? 'required' : ''; ?>
                 <?php echo $this->config['disabled'] ? 'disabled' : ''; ?>
-                <?php echo $this->config['multiple'] ? 'multiple' : ''; ?>>
+                <?php echo $this->config['multiple'] ? 'multiple' : ''; ?><?php echo $this->render_validation_attributes( false ); ?>>
             <?php if ( $this->config['placeholder'] ) : ?>
                 <option value=""><?php echo esc_html( $this->config['placeholder'] ); ?></option>
             <?php endif; ?>
@@ -471,7 +521,7 @@ class FormField implements Renderable {
                     data-tags="true"
                 <?php endif; ?>
                 <?php echo $this->config['required'] ? 'required' : ''; ?>
-                <?php echo $this->config['disabled'] ? 'disabled' : ''; ?>>
+                <?php echo $this->config['disabled'] ? 'disabled' : ''; ?><?php echo $this->render_validation_attributes( false ); ?>>
 
             <?php if ( ! empty( $this->config['options'] ) && is_array( $this->config['options'] ) ) :
                 $current_value = $this->config['value'];
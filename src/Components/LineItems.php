@@ -243,7 +243,8 @@ class LineItems implements Renderable {
             <?php endif; ?>
 
             <td class="column-price">
-                <span data-price="<?php echo esc_attr( (string) $price ); ?>">
+                <span data-price="<?php echo esc_attr( (string) $price ); ?>"
+                      data-money-amount="<?php echo esc_attr( (string) $price ); ?>">
                     <?php esc_currency_e( $price, $this->config['currency'] ); ?>
                 </span>
                 <input type="hidden"
@@ -253,7 +254,7 @@ class LineItems implements Renderable {
 
             <?php if ( $this->config['show_quantity'] ) : ?>
                 <td class="column-total">
-                    <span class="item-total"><?php esc_currency_e( $total, $this->config['currency'] ); ?></span>
+                    <span class="item-total" data-money-amount="<?php echo esc_attr( (string) $total ); ?>"><?php esc_currency_e( $total, $this->config['currency'] ); ?></span>
                 </td>
             <?php endif; ?>
 
@@ -274,7 +275,9 @@ class LineItems implements Renderable {
         ?>
         <div class="line-items-total">
             <span class="total-label">Total:</span>
-            <span class="total-amount" data-value="<?php echo esc_attr( (string) $total ); ?>">
+            <span class="total-amount"
+                  data-value="<?php echo esc_attr( (string) $total ); ?>"
+                  data-money-amount="<?php echo esc_attr( (string) $total ); ?>">
                 <?php esc_currency_e( $total, $this->config['currency'] ); ?>
             </span>
         </div>
@@ -317,7 +320,7 @@ class LineItems implements Renderable {
                 <?php endif; ?>
 
                 <td class="column-price">
-                    <span data-price="{{price}}">{{price_formatted}}</span>
+                    <span data-price="{{price}}" data-money-amount="{{price}}">{{price_formatted}}</span>
                     <input type="hidden"
                            name="<?php echo esc_attr( $this->config['name'] ); ?>[{{index}}][price]"
                            value="{{price}}">
@@ -325,7 +328,7 @@ class LineItems implements Renderable {
 
                 <?php if ( $this->config['show_quantity'] ) : ?>
                     <td class="column-total">
-                        <span class="item-total">{{total_formatted}}</span>
+                        <span class="item-total" data-money-amount="{{price}}">{{total_formatted}}</span>
                     </td>
                 <?php endif; ?>
 
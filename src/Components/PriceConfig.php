@@ -197,6 +197,7 @@ class PriceConfig implements Renderable {
                                name="<?php echo $name; ?>[amount]"
                                value="<?php echo esc_attr( $display_amount ); ?>"
                                placeholder="0.00"
+                               data-money="<?php echo esc_attr( $currency ); ?>"
                                inputmode="decimal"
                                autocomplete="off">
                     </div>
@@ -207,6 +208,7 @@ class PriceConfig implements Renderable {
                                name="<?php echo $name; ?>[compare_at_amount]"
                                value="<?php echo esc_attr( $display_compare_at ); ?>"
                                placeholder="0.00"
+                               data-money="<?php echo esc_attr( $currency ); ?>"
                                inputmode="decimal"
                                autocomplete="off">
                     </div>
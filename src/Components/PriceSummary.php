@@ -72,7 +72,8 @@ class PriceSummary implements Renderable {
         ob_start();
         ?>
         <div id="<?php echo esc_attr( $this->config['id'] ); ?>"
-             class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>">
+             class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
+             data-currency="<?php echo esc_attr( strtoupper( $this->config['currency'] ) ); ?>">
 
             <table class="price-summary-table">
                 <?php if ( ! empty( $this->config['items'] ) ) : ?>
@@ -93,20 +94,20 @@ class PriceSummary implements Renderable {
                     <tfoot class="price-summary-footer">
                     <tr class="price-summary-total">
                         <td class="label"><?php esc_html_e( 'Total', 'wp-flyout' ); ?></td>
-                        <td class="amount">
+                        <td class="amount" data-money-amount="<?php echo esc_attr( (string) $this->config['total'] ); ?>">
                             <?php esc_currency_e( $this->config['total'], $this->config['currency'] ); ?>
                         </td>
                     </tr>
                     <?php if ( $this->has_refund() ) : ?>
                         <tr class="price-summary-refunded">
                             <td class="label"><?php esc_html_e( 'Refunded', 'wp-flyout' ); ?></td>
-                            <td class="amount negative">
+                            <td class="amount negative" data-money-amount="<?php echo esc_attr( (string) - $this->config['refunded'] ); ?>">
                                 <?php esc_currency_e( - $this->config['refunded'], $this->config['currency'] ); ?>
                             </td>
                         </tr>
                         <tr class="price-summary-net">
                             <td class="label"><?php esc_html_e( 'Net', 'wp-flyout' ); ?></td>
-                            <td class="amount">
+                            <td class="amount" data-money-amount="<?php echo esc_attr( (string) ( $this->config['total'] - $this->config['refunded'] ) ); ?>">
                                 <?php esc_currency_e( $this->config['total'] - $this->config['refunded'], $this->config['currency'] ); ?>
                             </td>
                         </tr>
@@ -165,7 +166,7 @@ class PriceSummary implements Renderable {
                     <span class="item-description"><?php echo esc_html( $description ); ?></span>
                 <?php endif; ?>
             </td>
-            <td class="item-amount">
+            <td class="item-amount" data-money-amount="<?php echo esc_attr( (string) $amount ); ?>">
                 <?php esc_currency_e( $amount, $this->config['currency'] ); ?>
             </td>
         </tr>
@@ -197,7 +198,8 @@ class PriceSummary implements Renderable {
             ?>
             <tr class="price-summary-<?php echo esc_attr( $key ); ?>">
                 <td class="label"><?php echo esc_html( $label ); ?></td>
-                <td class="amount <?php echo $amount < 0 ? 'negative' : ''; ?>">
+                <td class="amount <?php echo $amount < 0 ? 'negative' : ''; ?>"
+                    data-money-amount="<?php echo esc_attr( (string) $amount ); ?>">
                     <?php esc_currency_e( $amount, $this->config['currency'] ); ?>
                 </td>
             </tr>
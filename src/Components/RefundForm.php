@@ -97,8 +97,9 @@ class RefundForm implements Renderable {
 	private function format_decimal( int $amount ): string {
 		$currency = strtoupper( $this->config['currency'] );
 
+		// Decimal places follow the currency (JPY 0, KWD 3); the browser localizes them
 		if ( function_exists( 'from_currency_cents' ) ) {
-			return number_format( from_currency_cents( $amount, $currency ), 2, '.', '' );
+			return (string) from_currency_cents( $amount, $currency );
 		}
 
 		return number_format( $amount / 100, 2, '.', '' );
@@ -152,19 +153,19 @@ class RefundForm implements Renderable {
 				<div class="refund-summary">
 					<span class="refund-summary-item">
 						<span class="refund-summary-label"><?php esc_html_e( 'Paid', 'wp-flyout' ); ?></span>
-						<span class="refund-summary-value"><?php echo esc_html( $this->format_amount( $amount_paid ) ); ?></span>
+						<span class="refund-summary-value" data-money-amount="<?php echo esc_attr( (string) $amount_paid ); ?>"><?php echo esc_html( $this->format_amount( $amount_paid ) ); ?></span>
 					</span>
 					<?php if ( $amount_refunded > 0 ) : ?>
 						<span class="refund-summary-sep">&middot;</span>
 						<span class="refund-summary-item">
 							<span class="refund-summary-label"><?php esc_html_e( 'Refunded', 'wp-flyout' ); ?></span>
-							<span class="refund-summary-value refund-summary-refunded"><?php echo esc_html( $this->format_amount( $amount_refunded ) ); ?></span>
+							<span class="refund-summary-value refund-summary-refunded" data-money-amount="<?php echo esc_attr( (string) $amount_refunded ); ?>"><?php echo esc_html( $this->format_amount( $amount_refunded ) ); ?></span>
 						</span>
 					<?php endif; ?>
 					<span class="refund-summary-sep">&middot;</span>
 					<span class="refund-summary-item">
 						<span class="refund-summary-label"><?php esc_html_e( 'Available', 'wp-flyout' ); ?></span>
-						<span class="refund-summary-value refund-summary-available"><?php echo esc_html( $this->format_amount( $refundable ) ); ?></span>
+						<span class="refund-summary-value refund-summary-available" data-money-amount="<?php echo esc_attr( (string) $refundable ); ?>"><?php echo esc_html( $this->format_amount( $refundable ) ); ?></span>
 					</span>
 				</div>
 
@@ -172,13 +173,14 @@ class RefundForm implements Renderable {
 				<div class="refund-field">
 					<label for="<?php echo $id; ?>_amount"><?php esc_html_e( 'Refund amount', 'wp-flyout' ); ?></label>
 					<div class="refund-amount-wrap">
-						<span class="refund-currency-symbol"><?php echo esc_html( $currency ); ?></span>
+						<span class="refund-currency-symbol" data-money-symbol="<?php echo esc_attr( $currency ); ?>"><?php echo esc_html( $currency ); ?></span>
 						<input type="text"
 						       id="<?php echo $id; ?>_amount"
 						       name="<?php echo $name; ?>[amount]"
 						       class="refund-amount-input"
 						       value="<?php echo esc_attr( $this->format_decimal( $refundable ) ); ?>"
 						       placeholder="0.00"
+						       data-money="<?php echo esc_attr( $currency ); ?>"
 						       inputmode="decimal"
 						       autocomplete="off">
 					</div>
@@ -247,11 +249,12 @@ class RefundForm implements Renderable {
 
 		ob_start();
 		?>
-		<div class="wp-flyout-refund-form is-fully-refunded">
+		<div class="wp-flyout-refund-form is-fully-refunded"
+		     data-currency="<?php echo esc_attr( strtoupper( $this->config['currency'] ) ); ?>">
 			<div class="refund-summary">
 				<span class="refund-summary-item">
 					<span class="refund-summary-label"><?php esc_html_e( 'Refunded', 'wp-flyout' ); ?></span>
-					<span class="refund-summary-value refund-summary-refunded"><?php echo esc_html( $this->format_amount( $amount_paid ) ); ?></span>
+					<span class="refund-summary-value refund-summary-refunded" data-money-amount="<?php echo esc_attr( (string) $amount_paid ); ?>"><?php echo esc_html( $this->format_amount( $amount_paid ) ); ?></span>
 				</span>
 				<span class="refund-summary-sep">&middot;</span>
 				<span class="refund-summary-item">
@@ -74,7 +74,7 @@ class Flyout {
      * Tab configuration
      *
      * @since 1.0.0
-     * @var array<string, array{id: string, label: string}>
+     * @var array<string, array{id: string, label: string, lazy: bool}>
      */
     private array $tabs = [];
 
@@ -224,18 +224,23 @@ class Flyout {
     /**
      * Add a tab to the flyout
      *
+     * A lazy tab renders an empty panel whose content is fetched from
+     * the /load-tab route the first time the tab is shown.
+     *
      * @param string $id     Tab identifier (used for content association)
      * @param string $label  Tab label to display
      * @param bool   $active Whether this tab should be active by default
+     * @param bool   $lazy   Whether the panel content loads on demand
      *
      * @return self Returns instance for method chaining
      * @since 1.0.0
      *
      */
-    public function add_tab( string $id, string $label, bool $active = false ): self {
+    public function add_tab( string $id, string $label, bool $active = false, bool $lazy = false ): self {
         $this->tabs[ $id ] = [
                 'id'    => $id,
                 'label' => $label,
+                'lazy'  => $lazy,
         ];
 
         // Set as active if requested or if it's the first tab
@@ -412,7 +417,14 @@ class Flyout {
         ?>
         <div id="<?php echo esc_attr( $this->id ); ?>"
              class="<?php echo esc_attr( implode( ' ', array_filter( $classes ) ) ); ?>"
-             data-flyout-id="<?php echo esc_attr( $this->id ); ?>">
+             data-flyout-id="<?php echo esc_attr( $this->id ); ?>"
+             role="dialog"
+             aria-modal="true"
+             aria-labelledby="<?php echo esc_attr( $this->id . '-title' ); ?>"
+             <?php if ( ! empty( $this->config['subtitle'] ) ) : ?>
+             aria-describedby="<?php echo esc_attr( $this->id . '-subtitle' ); ?>"
+             <?php endif; ?>
+             tabindex="-1">
 
             <?php do_action( 'wp_flyout_before_header', $this->id, $this->config ); ?>
 
@@ -442,9 +454,9 @@ class Flyout {
         ?>
         <div class="wp-flyout-header">
             <div class="wp-flyout-header-content">
-                <h2 class="wp-flyout-title"><?php echo esc_html( $this->config['title'] ); ?></h2>
+                <h2 id="<?php echo esc_attr( $this->id . '-title' ); ?>" class="wp-flyout-title"><?php echo esc_html( $this->config['title'] ); ?></h2>
                 <?php if ( ! empty( $this->config['subtitle'] ) ) : ?>
-                    <p class="wp-flyout-subtitle"><?php echo esc_html( $this->config['subtitle'] ); ?></p>
+                    <p id="<?php echo esc_attr( $this->id . '-subtitle' ); ?>" class="wp-flyout-subtitle"><?php echo esc_html( $this->config['subtitle'] ); ?></p>
                 <?php endif; ?>
             </div>
             <button type="button" class="wp-flyout-close" aria-label="<?php esc_attr_e( 'Close', 'wp-flyout' ); ?>">
@@ -474,11 +486,14 @@ class Flyout {
                         $classes[] = 'active';
                     }
                     ?>
-                    <a href="#tab-<?php echo esc_attr( $tab['id'] ); ?>"
+                    <a href="#<?php echo esc_attr( $this->get_panel_id( $tab['id'] ) ); ?>"
+                       id="<?php echo esc_attr( $this->get_tab_id( $tab['id'] ) ); ?>"
                        class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
                        role="tab"
                        data-tab="<?php echo esc_attr( $tab['id'] ); ?>"
-                       aria-selected="<?php echo $is_active ? 'true' : 'false'; ?>">
+                       aria-controls="<?php echo esc_attr( $this->get_panel_id( $tab['id'] ) ); ?>"
+                       aria-selected="<?php echo $is_active ? 'true' : 'false'; ?>"
+                       tabindex="<?php echo $is_active ? '0' : '-1'; ?>">
                         <?php echo esc_html( $tab['label'] ); ?>
                     </a>
                 <?php endforeach; ?>
@@ -529,15 +544,51 @@ class Flyout {
                 $classes[] = 'active';
             }
             ?>
-            <div id="tab-<?php echo esc_attr( $tab['id'] ); ?>"
+            <div id="<?php echo esc_attr( $this->get_panel_id( $tab['id'] ) ); ?>"
                  class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
-                 role="tabpanel">
+                 role="tabpanel"
+                 data-tab-panel="<?php echo esc_attr( $tab['id'] ); ?>"
+                 aria-labelledby="<?php echo esc_attr( $this->get_tab_id( $tab['id'] ) ); ?>"
+                 tabindex="0"
+                 <?php echo $tab['lazy'] ? 'data-lazy aria-busy="true"' : ''; ?>>
+                <?php if ( $tab['lazy'] ) : ?>
+                    <div class="wp-flyout-tab-lazy">
+                        <p class="wp-flyout-tab-loading">
+                            <span class="spinner is-active"></span>
+                            <?php esc_html_e( 'Loading...', 'wp-flyout' ); ?>
+                        </p>
+                    </div>
+                <?php endif; ?>
                 <?php echo $this->content[ $tab['id'] ] ?? ''; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
             </div>
             <?php
         }
     }
 
+    /**
+     * Element ID of a tab, unique across stacked flyouts
+     *
+     * @param string $tab_id Tab identifier
+     *
+     * @return string
+     * @since 7.1.0
+     */
+    private function get_tab_id( string $tab_id ): string {
+        return $this->id . '-tab-' . $tab_id;
+    }
+
+    /**
+     * Element ID of a tab panel, unique across stacked flyouts
+     *
+     * @param string $tab_id Tab identifier
+     *
+     * @return string
+     * @since 7.1.0
+     */
+    private function get_panel_id( string $tab_id ): string {
+        return $this->id . '-panel-' . $tab_id;
+    }
+
     /**
      * Render single content panel (no tabs)
      *
@@ -0,0 +1,163 @@
+<?php
+/**
+ * Action Downloads
+ *
+ * A file an action callback sends back instead of JSON. The browser sees
+ * the Content-Disposition header, saves the file under its name and shows
+ * progress on the button while it arrives:
+ *
+ *     'callback' => function ( $post_data ) {
+ *         return Download::contents( build_csv( $post_data['id'] ), 'orders.csv', 'text/csv' );
+ *     },
+ *
+ * Files that live elsewhere, such as a signed storage URL, are better sent
+ * with Command::download() so they don't pass through PHP.
+ *
+ * @package     ArrayPress\RegisterFlyouts
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       7.1.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterFlyouts;
+
+use WP_Error;
+use WP_REST_Response;
+
+/**
+ * Class Download
+ *
+ * Holds either a path on disk or the file contents. RestApi sends it as
+ * the raw response body through the rest_pre_serve_request filter.
+ */
+class Download {
+
+	/**
+	 * Path of the file to send, when sending from disk.
+	 *
+	 * @var string
+	 */
+	private string $path = '';
+
+	/**
+	 * File contents, when built in memory.
+	 *
+	 * @var string|null
+	 */
+	private ?string $contents = null;
+
+	/**
+	 * File name the browser saves the file under.
+	 *
+	 * @var string
+	 */
+	private string $filename;
+
+	/**
+	 * MIME type.
+	 *
+	 * @var string
+	 */
+	private string $mime;
+
+	/**
+	 * Use the named constructors.
+	 *
+	 * @param string $filename File name.
+	 * @param string $mime     MIME type; guessed from the file name when empty.
+	 */
+	private function __construct( string $filename, string $mime ) {
+		$this->filename = sanitize_file_name( $filename );
+
+		if ( $mime === '' ) {
+			$mime = wp_check_filetype( $this->filename )['type'] ?: 'application/octet-stream';
+		}
+
+		$this->mime = $mime;
+	}
+
+	/**
+	 * Send a file from disk.
+	 *
+	 * @param string $path     Absolute path.
+	 * @param string $filename File name; defaults to the file's own name.
+	 * @param string $mime     MIME type; guessed from the file name when empty.
+	 *
+	 * @return self
+	 */
+	public static function file( string $path, string $filename = '', string $mime = '' ): self {
+		$download       = new self( $filename !== '' ? $filename : wp_basename( $path ), $mime );
+		$download->path = $path;
+
+		return $download;
+	}
+
+	/**
+	 * Send contents built in memory, e.g. a generated CSV or PDF.
+	 *
+	 * @param string $contents File contents.
+	 * @param string $filename File name.
+	 * @param string $mime     MIME type; guessed from the file name when empty.
+	 *
+	 * @return self
+	 */
+	public static function contents( string $contents, string $filename, string $mime = '' ): self {
+		$download           = new self( $filename, $mime );
+		$download->contents = $contents;
+
+		return $download;
+	}
+
+	/**
+	 * Get the file name.
+	 *
+	 * @return string
+	 */
+	public function get_filename(): string {
+		return $this->filename;
+	}
+
+	/**
+	 * Build the REST response carrying this file.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function to_response() {
+		if ( $this->contents === null && ! is_readable( $this->path ) ) {
+			return new WP_Error(
+				'flyout_download_missing',
+				__( 'The file could not be found.', 'arraypress' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		$size = $this->contents !== null ? strlen( $this->contents ) : (int) filesize( $this->path );
+
+		// Plain name for old browsers, the UTF-8 name for the rest
+		$fallback = preg_replace( '/[^\x20-\x7e]|["\\\\]/', '_', $this->filename );
+
+		return new WP_REST_Response( $this, 200, [
+			'Content-Type'        => $this->mime,
+			'Content-Disposition' => sprintf( 'attachment; filename="%s"; filename*=UTF-8\'\'%s', $fallback, rawurlencode( $this->filename ) ),
+			'Content-Length'      => (string) $size,
+			'Cache-Control'       => 'no-store, private',
+		] );
+	}
+
+	/**
+	 * Write the file to the output.
+	 *
+	 * @return void
+	 */
+	public function send(): void {
+		if ( $this->contents !== null ) {
+			echo $this->contents; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+			return;
+		}
+
+		readfile( $this->path ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile
+	}
+
+}
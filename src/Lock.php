@@ -0,0 +1,264 @@
+<?php
+/**
+ * Record Locks
+ *
+ * Soft edit locks for flyout records, modelled on the post editor's
+ * wp_check_post_lock() / wp_set_post_lock(). Locks are stored as
+ * transients and kept alive through the Heartbeat API while a flyout
+ * is open.
+ *
+ * @package     ArrayPress\RegisterFlyouts
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       7.1.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterFlyouts;
+
+/**
+ * Class Lock
+ *
+ * A lock belongs to one user and one record, identified by manager prefix,
+ * flyout ID, and item ID. It expires when not refreshed within the lock
+ * window, so a closed browser tab frees the record on its own.
+ */
+class Lock {
+
+	/**
+	 * Transient name prefix.
+	 *
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'wp_flyout_lock_';
+
+	/**
+	 * Whether the Heartbeat hook has been added.
+	 *
+	 * @var bool
+	 */
+	private static bool $registered = false;
+
+	/**
+	 * Hook into the Heartbeat API. Safe to call multiple times.
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( self::$registered ) {
+			return;
+		}
+
+		add_filter( 'heartbeat_received', [ __CLASS__, 'heartbeat_received' ], 10, 2 );
+
+		self::$registered = true;
+	}
+
+	// =========================================================================
+	// LOCK STATE
+	// =========================================================================
+
+	/**
+	 * Whether a flyout record takes a lock when opened.
+	 *
+	 * Only existing records of flyouts that can save are locked.
+	 *
+	 * @param array $config  Flyout configuration.
+	 * @param mixed $item_id Record ID.
+	 *
+	 * @return bool
+	 */
+	public static function is_enabled( array $config, $item_id ): bool {
+		return ! empty( $config['lock'] )
+		       && ! empty( $config['save'] )
+		       && is_callable( $config['save'] )
+		       && ! empty( $item_id );
+	}
+
+	/**
+	 * Check whether another user is editing a record.
+	 *
+	 * @param string $prefix    Manager prefix.
+	 * @param string $flyout_id Flyout identifier.
+	 * @param mixed  $item_id   Record ID.
+	 *
+	 * @return int ID of the user holding the lock, or 0 when free or held by the current user.
+	 */
+	public static function check( string $prefix, string $flyout_id, $item_id ): int {
+		$lock = get_transient( self::get_key( $prefix, $flyout_id, $item_id ) );
+
+		if ( ! is_array( $lock ) || empty( $lock['user'] ) || empty( $lock['time'] ) ) {
+			return 0;
+		}
+
+		$user_id = (int) $lock['user'];
+
+		if ( $user_id === get_current_user_id() || (int) $lock['time'] <= time() - self::get_window() ) {
+			return 0;
+		}
+
+		return $user_id;
+	}
+
+	/**
+	 * Take or refresh the lock for the current user.
+	 *
+	 * @param string $prefix    Manager prefix.
+	 * @param string $flyout_id Flyout identifier.
+	 * @param mixed  $item_id   Record ID.
+	 *
+	 * @return bool False when there is no logged-in user.
+	 */
+	public static function set( string $prefix, string $flyout_id, $item_id ): bool {
+		$user_id = get_current_user_id();
+
+		if ( ! $user_id ) {
+			return false;
+		}
+
+		return set_transient(
+			self::get_key( $prefix, $flyout_id, $item_id ),
+			[ 'user' => $user_id, 'time' => time() ],
+			self::get_window()
+		);
+	}
+
+	/**
+	 * Release the lock if the current user holds it.
+	 *
+	 * @param string $prefix    Manager prefix.
+	 * @param string $flyout_id Flyout identifier.
+	 * @param mixed  $item_id   Record ID.
+	 *
+	 * @return void
+	 */
+	public static function release( string $prefix, string $flyout_id, $item_id ): void {
+		$key  = self::get_key( $prefix, $flyout_id, $item_id );
+		$lock = get_transient( $key );
+
+		if ( is_array( $lock ) && (int) ( $lock['user'] ?? 0 ) === get_current_user_id() ) {
+			delete_transient( $key );
+		}
+	}
+
+	/**
+	 * Lock state as sent to the browser.
+	 *
+	 * @param int $user_id ID of the user holding the lock, or 0.
+	 *
+	 * @return array{locked: bool, user: array|null}
+	 */
+	public static function get_state( int $user_id ): array {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+
+		if ( ! $user ) {
+			return [ 'locked' => false, 'user' => null ];
+		}
+
+		return [
+			'locked' => true,
+			'user'   => [
+				'id'     => $user->ID,
+				'name'   => $user->display_name,
+				'avatar' => get_avatar_url( $user->ID, [ 'size' => 48 ] ),
+			],
+		];
+	}
+
+	/**
+	 * Seconds a lock stays valid without a refresh.
+	 *
+	 * Defaults to the post editor's lock window (150 seconds).
+	 *
+	 * @return int
+	 */
+	public static function get_window(): int {
+		/** This filter is documented in wp-admin/includes/post.php */
+		$window = apply_filters( 'wp_check_post_lock_window', 150 );
+
+		/**
+		 * Filter the flyout record lock window.
+		 *
+		 * @param int $window Seconds a lock stays valid without a Heartbeat refresh.
+		 */
+		return max( 1, (int) apply_filters( 'wp_flyout_lock_window', $window ) );
+	}
+
+	// =========================================================================
+	// HEARTBEAT
+	// =========================================================================
+
+	/**
+	 * Refresh the locks of open flyouts.
+	 *
+	 * Expects $data['wp_flyout_locks'] as a list of
+	 * { id, manager, flyout, item_id } entries and responds with the lock
+	 * state of each, keyed by id. A lock another user has taken over is
+	 * reported as locked and is not refreshed.
+	 *
+	 * @param array $response Heartbeat response.
+	 * @param array $data     Data sent by the browser.
+	 *
+	 * @return array
+	 */
+	public static function heartbeat_received( $response, $data ) {
+		if ( empty( $data['wp_flyout_locks'] ) || ! is_array( $data['wp_flyout_locks'] ) ) {
+			return $response;
+		}
+
+		$locks = [];
+
+		foreach ( $data['wp_flyout_locks'] as $entry ) {
+			if ( ! is_array( $entry ) || empty( $entry['id'] ) ) {
+				continue;
+			}
+
+			$prefix    = sanitize_key( (string) ( $entry['manager'] ?? '' ) );
+			$flyout_id = sanitize_key( (string) ( $entry['flyout'] ?? '' ) );
+			$item_id   = sanitize_text_field( (string) ( $entry['item_id'] ?? '' ) );
+			$manager   = Registry::instance()->get( $prefix );
+			$config    = $manager ? $manager->get_flyout( $flyout_id ) : null;
+
+			if ( ! $config || ! self::is_enabled( $config, $item_id ) ) {
+				continue;
+			}
+
+			if ( ! current_user_can( $config['capability'] ?: 'manage_options' ) ) {
+				continue;
+			}
+
+			$holder = self::check( $prefix, $flyout_id, $item_id );
+
+			if ( ! $holder ) {
+				self::set( $prefix, $flyout_id, $item_id );
+			}
+
+			$locks[ sanitize_text_field( (string) $entry['id'] ) ] = self::get_state( $holder );
+		}
+
+		if ( ! empty( $locks ) ) {
+			$response['wp_flyout_locks'] = $locks;
+		}
+
+		return $response;
+	}
+
+	// =========================================================================
+	// HELPERS
+	// =========================================================================
+
+	/**
+	 * Transient name for a record lock.
+	 *
+	 * @param string $prefix    Manager prefix.
+	 * @param string $flyout_id Flyout identifier.
+	 * @param mixed  $item_id   Record ID.
+	 *
+	 * @return string
+	 */
+	private static function get_key( string $prefix, string $flyout_id, $item_id ): string {
+		return self::TRANSIENT_PREFIX . md5( $prefix . '|' . $flyout_id . '|' . $item_id );
+	}
+
+}
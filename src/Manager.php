@@ -101,6 +101,9 @@ class Manager {
 		// Ensure REST routes are registered (safe to call multiple times).
 		RestApi::register();
 
+		// Keep record locks alive through the Heartbeat API.
+		Lock::register();
+
 		// Auto-enqueue assets on admin pages.
 		add_action( 'admin_enqueue_scripts', [ $this, 'maybe_enqueue_assets' ] );
 	}
@@ -132,6 +135,13 @@ class Manager {
 			'validate'    => null,
 			'save'        => null,
 			'delete'      => null,
+			'row'         => null,
+			'reload'      => false,
+			'autosave'    => true,
+			'navigation'  => true,
+			'bulk'        => false,
+			'lock'        => false,
+			'version'     => null,
 		];
 
 		$config = wp_parse_args( $config, $defaults );
@@ -178,6 +188,14 @@ class Manager {
 		$flyout->set_subtitle( $config['subtitle'] );
 		$flyout->set_size( $config['size'] );
 
+		if ( isset( $config['autosave'] ) && ! $config['autosave'] ) {
+			$flyout->add_class( 'wp-flyout-no-autosave' );
+		}
+
+		if ( isset( $config['navigation'] ) && ! $config['navigation'] ) {
+			$flyout->add_class( 'wp-flyout-no-navigation' );
+		}
+
 		$flyout = apply_filters( 'wp_flyout_build_flyout', $flyout, $config, $data, $this->prefix );
 
 		if ( ! empty( $config['tabs'] ) ) {
@@ -206,6 +224,96 @@ class Manager {
 		return $flyout;
 	}
 
+	/**
+	 * Build the bulk-edit interface for several records.
+	 *
+	 * Renders the bulk-editable fields without record data. Each field
+	 * starts in the "leave unchanged" state with its inputs disabled.
+	 *
+	 * @param array $config   Flyout configuration.
+	 * @param array $item_ids Selected record IDs.
+	 *
+	 * @return Flyout Configured flyout instance.
+	 * @since 7.1.0
+	 */
+	public function build_bulk_flyout( array $config, array $item_ids ): Flyout {
+		$count  = count( $item_ids );
+		$fields = $this->get_bulk_fields( $config );
+		$flyout = new Flyout( uniqid() . '_bulk' );
+
+		$flyout->set_title( sprintf(
+			/* translators: %s: number of selected items */
+			_n( 'Edit %s item', 'Edit %s items', $count, 'wp-flyout' ),
+			number_format_i18n( $count )
+		) );
+		$flyout->set_subtitle( $config['title'] );
+		$flyout->set_size( $config['size'] );
+		$flyout->add_class( 'wp-flyout-bulk wp-flyout-no-autosave wp-flyout-no-navigation' );
+
+		$flyout = apply_filters( 'wp_flyout_build_flyout', $flyout, $config, null, $this->prefix );
+
+		if ( ! empty( $config['tabs'] ) ) {
+			// Skip tabs left without any bulk-editable field.
+			$tabs = array_intersect_key( $config['tabs'], array_flip( array_map( function ( $field ) {
+				return $field['tab'] ?? 'default';
+			}, $fields ) ) );
+
+			$this->build_tab_interface( $flyout, $tabs, $fields, null, true );
+		} else {
+			$flyout->add_content( '', $this->render_fields( $fields, null, true ) );
+		}
+
+		$flyout->set_footer( $this->render_actions( [
+			[
+				'text'  => sprintf(
+					/* translators: %s: number of selected items */
+					_n( 'Update %s item', 'Update %s items', $count, 'wp-flyout' ),
+					number_format_i18n( $count )
+				),
+				'style' => 'primary',
+				'class' => 'wp-flyout-bulk-save',
+			],
+		] ) );
+
+		return $flyout;
+	}
+
+	/**
+	 * Get the fields that can be bulk edited.
+	 *
+	 * 'bulk' => true allows every input field; display components, hidden
+	 * fields and separators are left out, as is any field with 'bulk' => false.
+	 * An array of field keys or names allows exactly those fields.
+	 *
+	 * @param array $config Flyout configuration.
+	 *
+	 * @return array Normalized field configurations, keyed like 'fields'.
+	 * @since 7.1.0
+	 */
+	public function get_bulk_fields( array $config ): array {
+		if ( empty( $config['bulk'] ) ) {
+			return [];
+		}
+
+		$fields = [];
+
+		foreach ( $this->normalize_fields( $config['fields'] ) as $field_key => $field ) {
+			if ( is_array( $config['bulk'] ) ) {
+				$allowed = in_array( $field_key, $config['bulk'], true ) || in_array( $field['name'], $config['bulk'], true );
+			} elseif ( isset( $field['bulk'] ) ) {
+				$allowed = (bool) $field['bulk'];
+			} else {
+				$allowed = $this->is_bulk_type( $field['type'] ?? 'text' );
+			}
+
+			if ( $allowed ) {
+				$fields[ $field_key ] = $field;
+			}
+		}
+
+		return $fields;
+	}
+
 	/**
 	 * Build tab interface for flyout.
 	 *
@@ -213,11 +321,12 @@ class Manager {
 	 * @param array  $tabs   Tab configurations.
 	 * @param array  $fields All field configurations.
 	 * @param mixed  $data   Data for field population.
+	 * @param bool   $bulk   Render fields for bulk editing.
 	 *
 	 * @return void
 	 * @since 1.0.0
 	 */
-	private function build_tab_interface( Flyout $flyout, array $tabs, array $fields, $data ): void {
+	private function build_tab_interface( Flyout $flyout, array $tabs, array $fields, $data, bool $bulk = false ): void {
 		$fields_by_tab = [];
 		foreach ( $fields as $key => $field ) {
 			$tab = $field['tab'] ?? 'default';
@@ -230,15 +339,63 @@ class Manager {
 		foreach ( $tabs as $tab_id => $tab_config ) {
 			$label    = is_array( $tab_config ) ? $tab_config['label'] : $tab_config;
 			$is_first = array_key_first( $tabs ) === $tab_id;
+			$is_lazy  = ! $bulk && ! empty( $tab_config['lazy'] );
 
-			$flyout->add_tab( $tab_id, $label, $is_first );
+			$flyout->add_tab( $tab_id, $label, $is_first, $is_lazy );
+
+			// Lazy panels are filled in by the /load-tab route.
+			if ( $is_lazy ) {
+				continue;
+			}
 
 			$tab_fields = $fields_by_tab[ $tab_id ] ?? [];
-			$content    = $this->render_fields( $tab_fields, $data );
+			$content    = $this->render_fields( $tab_fields, $data, $bulk );
 			$flyout->set_tab_content( $tab_id, $content );
 		}
 	}
 
+	/**
+	 * Render the fields of a single tab.
+	 *
+	 * Used by the /load-tab route to fill in lazy tab panels.
+	 *
+	 * @param array  $config Flyout configuration.
+	 * @param string $tab_id Tab identifier.
+	 * @param mixed  $data   Data for field population.
+	 *
+	 * @return string Generated HTML.
+	 * @since 7.1.0
+	 */
+	public function render_tab( array $config, string $tab_id, $data ): string {
+		$tab_fields = array_filter( $config['fields'], function ( $field ) use ( $tab_id ) {
+			return ( $field['tab'] ?? 'default' ) === $tab_id;
+		} );
+
+		return $this->render_fields( $tab_fields, $data );
+	}
+
+	/**
+	 * Render a single field for in-place replacement.
+	 *
+	 * Used by the replace_component action command.
+	 *
+	 * @param array  $config    Flyout configuration.
+	 * @param string $field_key Field key.
+	 * @param mixed  $data      Data for field population.
+	 *
+	 * @return string Generated HTML, or empty when the field doesn't exist.
+	 * @since 7.1.0
+	 */
+	public function render_field( array $config, string $field_key, $data ): string {
+		$fields = $this->normalize_fields( $config['fields'] );
+
+		if ( ! isset( $fields[ $field_key ] ) ) {
+			return '';
+		}
+
+		return $this->render_fields( [ $field_key => $fields[ $field_key ] ], $data );
+	}
+
 	/**
 	 * Render action buttons for footer.
 	 *
@@ -292,11 +449,12 @@ class Manager {
 	 *
 	 * @param array $fields Field configurations.
 	 * @param mixed $data   Data object or array for field population.
+	 * @param bool  $bulk   Wrap each field with a "leave unchanged" toggle.
 	 *
 	 * @return string Generated HTML.
 	 * @since 1.0.0
 	 */
-	private function render_fields( array $fields, $data ): string {
+	private function render_fields( array $fields, $data, bool $bulk = false ): string {
 		$output = '';
 
 		$fields = apply_filters( 'wp_flyout_before_render_fields', $fields, $data, $this->prefix );
@@ -342,12 +500,89 @@ class Manager {
 				$field_output = $form_field->render();
 			}
 
+			$field_output = $this->mark_field( $field_output, $field_key );
+
+			if ( $bulk ) {
+				$field_output = $this->wrap_bulk_field( $field_output, $field, $field_key );
+			}
+
 			$output .= $field_output;
 		}
 
 		return apply_filters( 'wp_flyout_after_render_fields', $output, $fields, $data, $this->prefix );
 	}
 
+	/**
+	 * Tag a rendered field's root element with its key.
+	 *
+	 * Lets the browser find the field again, e.g. to replace it after an action.
+	 *
+	 * @param string $html      Rendered field HTML.
+	 * @param string $field_key Field identifier.
+	 *
+	 * @return string
+	 * @since 7.1.0
+	 */
+	private function mark_field( string $html, string $field_key ): string {
+		return (string) preg_replace(
+			'/^(\s*<[a-z][a-z0-9-]*)(?=[\s>\/])/i',
+			'$1 data-flyout-field="' . esc_attr( $field_key ) . '"',
+			$html,
+			1
+		);
+	}
+
+	/**
+	 * Wrap a rendered field for bulk editing.
+	 *
+	 * The field sits in a disabled fieldset until its "Leave unchanged"
+	 * checkbox is cleared, so untouched fields are never submitted.
+	 *
+	 * @param string $html      Rendered field HTML.
+	 * @param array  $field     Field configuration.
+	 * @param string $field_key Field identifier.
+	 *
+	 * @return string Wrapped HTML.
+	 * @since 7.1.0
+	 */
+	private function wrap_bulk_field( string $html, array $field, string $field_key ): string {
+		$label = $field['label'] ?? '';
+
+		return sprintf(
+			'<div class="wp-flyout-bulk-field is-unchanged" data-bulk-field="%1$s">' .
+			'<label class="wp-flyout-bulk-keep"><input type="checkbox" checked aria-label="%2$s"> %3$s</label>' .
+			'<fieldset disabled>%4$s</fieldset>' .
+			'</div>',
+			esc_attr( $field['name'] ?? $field_key ),
+			/* translators: %s: field label */
+			esc_attr( $label ? sprintf( __( 'Leave %s unchanged', 'wp-flyout' ), $label ) : __( 'Leave unchanged', 'wp-flyout' ) ),
+			esc_html__( 'Leave unchanged', 'wp-flyout' ),
+			$html
+		);
+	}
+
+	/**
+	 * Check whether a field type takes input that can be bulk edited.
+	 *
+	 * @param string $type Field type.
+	 *
+	 * @return bool True for input fields and form components.
+	 * @since 7.1.0
+	 */
+	private function is_bulk_type( string $type ): bool {
+		if ( in_array( $type, [ 'hidden', 'separator' ], true ) ) {
+			return false;
+		}
+
+		if ( ! Components::is_component( $type ) ) {
+			return true;
+		}
+
+		$component = Components::get( $type );
+
+		return ( $component['category'] ?? '' ) === 'form';
+	}
+
 	/**
 	 * Normalize field configurations.
 	 *
@@ -590,6 +825,73 @@ class Manager {
 		];
 	}
 
+	// =========================================================================
+	// RECORD VERSIONS
+	// =========================================================================
+
+	/**
+	 * Get a token identifying the current version of a record.
+	 *
+	 * Uses the flyout's 'version' callback when set (for example a modified
+	 * timestamp), otherwise a hash of the values its fields resolve from
+	 * the loaded data. A save is rejected when the token it was opened
+	 * with no longer matches.
+	 *
+	 * @param array $config Flyout configuration.
+	 * @param mixed $data   Loaded record data.
+	 * @param mixed $id     Record ID.
+	 *
+	 * @return string Version token.
+	 * @since 7.1.0
+	 */
+	public function get_version( array $config, $data, $id ): string {
+		if ( ! empty( $config['version'] ) && is_callable( $config['version'] ) ) {
+			$version = (string) call_user_func( $config['version'], $id, $data );
+		} else {
+			$values = [];
+
+			foreach ( $this->normalize_fields( $config['fields'] ) as $field_key => $field ) {
+				$data_key            = $field['name'] ?? $field_key;
+				$values[ $data_key ] = Components::resolve_data( $field['type'] ?? 'text', $data_key, $data );
+			}
+
+			$version = md5( (string) wp_json_encode( $values ) );
+		}
+
+		/**
+		 * Filter the version token of a record.
+		 *
+		 * @param string $version Version token.
+		 * @param mixed  $id      Record ID.
+		 * @param mixed  $data    Loaded record data.
+		 * @param array  $config  Flyout configuration.
+		 * @param string $prefix  Manager prefix.
+		 *
+		 * @since 7.1.0
+		 */
+		return (string) apply_filters( 'wp_flyout_record_version', $version, $id, $data, $config, $this->prefix );
+	}
+
+	/**
+	 * Get field labels keyed by the submitted field name.
+	 *
+	 * @param array $config Flyout configuration.
+	 *
+	 * @return array<string, string>
+	 * @since 7.1.0
+	 */
+	public function get_field_labels( array $config ): array {
+		$labels = [];
+
+		foreach ( $this->normalize_fields( $config['fields'] ) as $field_key => $field ) {
+			if ( ! empty( $field['label'] ) ) {
+				$labels[ $field['name'] ?? $field_key ] = wp_strip_all_tags( (string) $field['label'] );
+			}
+		}
+
+		return $labels;
+	}
+
 	// =========================================================================
 	// COMPONENT DETECTION
 	// =========================================================================
@@ -676,6 +978,8 @@ class Manager {
 		wp_localize_script( 'wp-flyout-manager', 'wpFlyout', [
 			'restUrl'   => rest_url( RestApi::NAMESPACE ),
 			'restNonce' => wp_create_nonce( 'wp_rest' ),
+			'nonceUrl'  => admin_url( 'admin-ajax.php?action=rest-nonce' ),
+			'locale'    => str_replace( '_', '-', get_user_locale() ),
 		] );
 
 		$this->assets_enqueued = true;
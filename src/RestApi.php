@@ -21,7 +21,7 @@ use WP_REST_Response;
 /**
  * Class RestApi
  *
- * Handles all REST API routes for flyout load, save, delete, search, and action operations.
+ * Handles all REST API routes for flyout load, lazy tab, unlock, save, bulk save, delete, search, and action operations.
  * Routes are registered once globally. Each request resolves the correct Manager and flyout
  * configuration via the Registry singleton.
  */
@@ -52,6 +52,7 @@ class RestApi {
 		}
 
 		add_action( 'rest_api_init', [ __CLASS__, 'register_routes' ] );
+		add_filter( 'rest_pre_serve_request', [ __CLASS__, 'serve_download' ], 10, 2 );
 
 		self::$routes_registered = true;
 	}
@@ -68,7 +69,18 @@ class RestApi {
 			'methods'             => 'POST',
 			'callback'            => [ __CLASS__, 'handle_load' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
-			'args'                => self::get_common_args(),
+			'args'                => array_merge( self::get_common_args(), [
+				'item_ids'  => [
+					'required' => false,
+					'type'     => 'array',
+					'default'  => [],
+				],
+				'take_over' => [
+					'required' => false,
+					'type'     => 'boolean',
+					'default'  => false,
+				],
+			] ),
 		] );
 
 		// Save flyout form data.
@@ -81,6 +93,59 @@ class RestApi {
 					'required' => true,
 					'type'     => 'object',
 				],
+				'version'   => [
+					'required' => false,
+					'type'     => 'string',
+					'default'  => '',
+				],
+			] ),
+		] );
+
+		// Load the content of a lazy tab.
+		register_rest_route( self::NAMESPACE, '/load-tab', [
+			'methods'             => 'POST',
+			'callback'            => [ __CLASS__, 'handle_load_tab' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => array_merge( self::get_common_args(), [
+				'tab' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+			] ),
+		] );
+
+		// Release the current user's lock on a record.
+		register_rest_route( self::NAMESPACE, '/unlock', [
+			'methods'             => 'POST',
+			'callback'            => [ __CLASS__, 'handle_unlock' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => self::get_common_args(),
+		] );
+
+		// Apply changed fields to several records.
+		register_rest_route( self::NAMESPACE, '/bulk-save', [
+			'methods'             => 'POST',
+			'callback'            => [ __CLASS__, 'handle_bulk_save' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => array_merge( self::get_common_args(), [
+				'item_ids'  => [
+					'required' => true,
+					'type'     => 'array',
+				],
+				'fields'    => [
+					'required' => true,
+					'type'     => 'array',
+				],
+				'form_data' => [
+					'required' => true,
+					'type'     => 'object',
+				],
+				'versions'  => [
+					'required' => false,
+					'type'     => 'object',
+					'default'  => [],
+				],
 			] ),
 		] );
 
@@ -274,35 +339,135 @@ class RestApi {
 			return $config;
 		}
 
-		$item_id = $request->get_param( 'item_id' );
+		// Several selected records open the bulk-edit interface instead.
+		$item_ids = self::sanitize_item_ids( $request->get_param( 'item_ids' ) );
 
-		// Call the load callback to get the data object.
-		$data = null;
-		if ( ! empty( $config['load'] ) && is_callable( $config['load'] ) ) {
-			$data = call_user_func( $config['load'], $item_id );
+		if ( ! empty( $item_ids ) ) {
+			$supported = self::check_bulk_support( $manager, $config );
+			if ( is_wp_error( $supported ) ) {
+				return $supported;
+			}
+
+			return new WP_REST_Response( [
+				'success'  => true,
+				'html'     => $manager->build_bulk_flyout( $config, $item_ids )->render(),
+				'versions' => self::get_versions( $manager, $config, $item_ids ),
+			] );
 		}
 
+		$item_id = $request->get_param( 'item_id' );
+
+		$data = self::load_data( $config, $item_id );
 		if ( is_wp_error( $data ) ) {
 			return $data;
 		}
 
-		if ( $data === false ) {
+		// Build the flyout HTML via the Manager.
+		$flyout = $manager->build_flyout( $config, $data, $item_id );
+
+		$response = [
+			'success' => true,
+			'html'    => $flyout->render(),
+		];
+
+		// Take the edit lock, unless another user holds it and this isn't a take-over.
+		if ( Lock::is_enabled( $config, $item_id ) ) {
+			$prefix    = $manager->get_prefix();
+			$flyout_id = $request->get_param( 'flyout' );
+			$holder    = $request->get_param( 'take_over' ) ? 0 : Lock::check( $prefix, $flyout_id, $item_id );
+
+			if ( ! $holder ) {
+				Lock::set( $prefix, $flyout_id, $item_id );
+			}
+
+			$response['lock'] = Lock::get_state( $holder );
+		}
+
+		// Sent back with the save to detect changes made in the meantime.
+		if ( self::is_versioned( $config, $item_id ) ) {
+			$response['version'] = $manager->get_version( $config, $data, $item_id );
+		}
+
+		return new WP_REST_Response( $response );
+	}
+
+	/**
+	 * Handle lazy tab load request.
+	 *
+	 * Calls the load callback again and renders only the fields of the
+	 * requested tab.
+	 *
+	 * @param WP_REST_Request $request Full request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_load_tab( WP_REST_Request $request ) {
+		$manager = self::resolve_manager( $request );
+		if ( is_wp_error( $manager ) ) {
+			return $manager;
+		}
+
+		$config = self::resolve_flyout( $manager, $request );
+		if ( is_wp_error( $config ) ) {
+			return $config;
+		}
+
+		$tab_id  = (string) $request->get_param( 'tab' );
+		$tab_ids = array_map( 'strval', array_keys( $config['tabs'] ?? [] ) );
+
+		// Tab IDs are registered as given, so they are matched exactly rather than as keys.
+		if ( ! in_array( $tab_id, $tab_ids, true ) ) {
 			return new WP_Error(
-				'flyout_load_failed',
-				__( 'Record not found.', 'arraypress' ),
+				'flyout_tab_not_found',
+				sprintf(
+					/* translators: %s: tab ID */
+					__( 'Tab "%s" not found.', 'arraypress' ),
+					$tab_id
+				),
 				[ 'status' => 404 ]
 			);
 		}
 
-		// Build the flyout HTML via the Manager.
-		$flyout = $manager->build_flyout( $config, $data, $item_id );
+		$data = self::load_data( $config, $request->get_param( 'item_id' ) );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
 
 		return new WP_REST_Response( [
 			'success' => true,
-			'html'    => $flyout->render(),
+			'html'    => $manager->render_tab( $config, $tab_id, $data ),
 		] );
 	}
 
+	/**
+	 * Handle lock release request.
+	 *
+	 * Sent when a flyout closes. Locks held by other users are left alone.
+	 *
+	 * @param WP_REST_Request $request Full request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_unlock( WP_REST_Request $request ) {
+		$manager = self::resolve_manager( $request );
+		if ( is_wp_error( $manager ) ) {
+			return $manager;
+		}
+
+		$config = self::resolve_flyout( $manager, $request );
+		if ( is_wp_error( $config ) ) {
+			return $config;
+		}
+
+		$item_id = $request->get_param( 'item_id' );
+
+		if ( Lock::is_enabled( $config, $item_id ) ) {
+			Lock::release( $manager->get_prefix(), $request->get_param( 'flyout' ), $item_id );
+		}
+
+		return new WP_REST_Response( [ 'success' => true ] );
+	}
+
 	/**
 	 * Handle flyout save request.
 	 *
@@ -334,6 +499,18 @@ class RestApi {
 		$item_id   = $request->get_param( 'item_id' );
 		$form_data = $request->get_param( 'form_data' );
 
+		// Refuse to overwrite a record another user has taken over.
+		$locked = self::check_lock( $manager, $config, $request->get_param( 'flyout' ), $item_id );
+		if ( is_wp_error( $locked ) ) {
+			return $locked;
+		}
+
+		// Refuse to overwrite changes saved since the flyout was loaded.
+		$current = self::check_version( $manager, $config, $item_id, (string) $request->get_param( 'version' ) );
+		if ( is_wp_error( $current ) ) {
+			return $current;
+		}
+
 		// Normalize and sanitize the form data using the flyout's field configuration.
 		$normalized_fields = $manager->normalize_fields( $config['fields'] );
 		$sanitized         = Sanitizer::sanitize_form_data( $form_data, $normalized_fields );
@@ -355,6 +532,11 @@ class RestApi {
 					[ 'status' => 422 ]
 				);
 			}
+
+			// A non-empty array is a map of field name => error message.
+			if ( is_array( $validation ) && ! empty( $validation ) ) {
+				return self::field_errors( $validation );
+			}
 		}
 
 		// Resolve the ID — may come from form data or request param.
@@ -376,9 +558,200 @@ class RestApi {
 			);
 		}
 
-		return new WP_REST_Response( [
+		// New records: a numeric save result is treated as the created ID.
+		if ( empty( $id ) && is_numeric( $result ) && $result > 0 ) {
+			$id = $result;
+		}
+
+		$response = [
 			'success' => true,
 			'message' => __( 'Saved successfully.', 'arraypress' ),
+			'item_id' => $id,
+			'reload'  => ! empty( $config['reload'] ),
+		];
+
+		// A created record stays open in the flyout, so it is locked like one opened for editing.
+		if ( empty( $item_id ) && Lock::is_enabled( $config, $id ) ) {
+			Lock::set( $manager->get_prefix(), $request->get_param( 'flyout' ), $id );
+
+			$response['lock'] = Lock::get_state( 0 );
+		}
+
+		// The next save from the still-open flyout compares against this version.
+		if ( self::is_versioned( $config, $id ) ) {
+			$saved = self::load_data( $config, $id );
+
+			if ( ! is_wp_error( $saved ) ) {
+				$response['version'] = $manager->get_version( $config, $saved, $id );
+			}
+		}
+
+		if ( ! $response['reload'] ) {
+			$row_html = self::render_row( $config, $id );
+
+			if ( $row_html !== '' ) {
+				$response['row_html'] = $row_html;
+			}
+		}
+
+		return new WP_REST_Response( $response );
+	}
+
+	/**
+	 * Handle bulk save request.
+	 *
+	 * Sanitizes only the fields the user changed and passes them to the
+	 * save callback once per record. Failures are reported per record
+	 * rather than failing the whole request; records another user has
+	 * locked, or changed since the flyout loaded them, count as failures. The validate callback is
+	 * not run, since it expects a complete record.
+	 *
+	 * @param WP_REST_Request $request Full request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_bulk_save( WP_REST_Request $request ) {
+		$manager = self::resolve_manager( $request );
+		if ( is_wp_error( $manager ) ) {
+			return $manager;
+		}
+
+		$config = self::resolve_flyout( $manager, $request );
+		if ( is_wp_error( $config ) ) {
+			return $config;
+		}
+
+		$supported = self::check_bulk_support( $manager, $config );
+		if ( is_wp_error( $supported ) ) {
+			return $supported;
+		}
+
+		$item_ids = self::sanitize_item_ids( $request->get_param( 'item_ids' ) );
+
+		if ( empty( $item_ids ) ) {
+			return new WP_Error(
+				'flyout_bulk_no_items',
+				__( 'No items selected.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// Keep the changed fields that are open to bulk editing.
+		$changed = array_map( 'strval', (array) $request->get_param( 'fields' ) );
+		$fields  = array_filter( $manager->get_bulk_fields( $config ), function ( $field ) use ( $changed ) {
+			return in_array( $field['name'], $changed, true );
+		} );
+
+		if ( empty( $fields ) ) {
+			return new WP_Error(
+				'flyout_bulk_no_changes',
+				__( 'No fields were changed.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// A changed field that submitted nothing (e.g. an emptied multi-select) is cleared.
+		$form_data = (array) $request->get_param( 'form_data' );
+		$raw       = [];
+
+		foreach ( $fields as $field ) {
+			$raw[ $field['name'] ] = $form_data[ $field['name'] ] ?? '';
+		}
+
+		$changes = Sanitizer::sanitize_form_data( $raw, $fields );
+
+		$changes = apply_filters( 'wp_flyout_before_bulk_save', $changes, $item_ids, $config, $manager->get_prefix() );
+
+		$results   = [];
+		$updated   = 0;
+		$flyout_id = $request->get_param( 'flyout' );
+		$versions  = (array) $request->get_param( 'versions' );
+
+		foreach ( $item_ids as $id ) {
+			// Skip records another user has locked or changed since the flyout loaded them.
+			$blocked = self::check_lock( $manager, $config, $flyout_id, $id );
+
+			if ( ! is_wp_error( $blocked ) ) {
+				$blocked = self::check_version( $manager, $config, $id, (string) ( $versions[ $id ] ?? '' ) );
+			}
+
+			if ( is_wp_error( $blocked ) ) {
+				$results[] = [
+					'id'      => $id,
+					'success' => false,
+					'message' => $blocked->get_error_message(),
+				];
+				continue;
+			}
+
+			$result = call_user_func( $config['save'], $id, $changes );
+
+			do_action( 'wp_flyout_after_save', $result, $id, $changes, $config, $manager->get_prefix() );
+
+			if ( is_wp_error( $result ) || $result === false ) {
+				$results[] = [
+					'id'      => $id,
+					'success' => false,
+					'message' => is_wp_error( $result ) ? $result->get_error_message() : __( 'Save failed.', 'arraypress' ),
+				];
+				continue;
+			}
+
+			$updated++;
+
+			$entry = [
+				'id'      => $id,
+				'success' => true,
+				'message' => __( 'Saved successfully.', 'arraypress' ),
+			];
+
+			// The next bulk save from the still-open flyout compares against this version.
+			if ( self::is_versioned( $config, $id ) ) {
+				$saved = self::load_data( $config, $id );
+
+				if ( ! is_wp_error( $saved ) ) {
+					$entry['version'] = $manager->get_version( $config, $saved, $id );
+				}
+			}
+
+			if ( empty( $config['reload'] ) ) {
+				$row_html = self::render_row( $config, $id );
+
+				if ( $row_html !== '' ) {
+					$entry['row_html'] = $row_html;
+				}
+			}
+
+			$results[] = $entry;
+		}
+
+		do_action( 'wp_flyout_after_bulk_save', $results, $item_ids, $changes, $config, $manager->get_prefix() );
+
+		$total  = count( $item_ids );
+		$failed = $total - $updated;
+
+		if ( $failed ) {
+			$message = sprintf(
+				/* translators: 1: number of updated items, 2: number of selected items */
+				_n( '%1$s of %2$s item updated.', '%1$s of %2$s items updated.', $total, 'arraypress' ),
+				number_format_i18n( $updated ),
+				number_format_i18n( $total )
+			);
+		} else {
+			$message = sprintf(
+				/* translators: %s: number of updated items */
+				_n( '%s item updated.', '%s items updated.', $updated, 'arraypress' ),
+				number_format_i18n( $updated )
+			);
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'message' => $message,
+			'updated' => $updated,
+			'failed'  => $failed,
+			'results' => $results,
+			'reload'  => ! empty( $config['reload'] ) && $updated > 0,
 		] );
 	}
 
@@ -410,6 +783,11 @@ class RestApi {
 
 		$item_id = $request->get_param( 'item_id' );
 
+		$locked = self::check_lock( $manager, $config, $request->get_param( 'flyout' ), $item_id );
+		if ( is_wp_error( $locked ) ) {
+			return $locked;
+		}
+
 		$item_id = apply_filters( 'wp_flyout_before_delete', $item_id, $config, $manager->get_prefix() );
 
 		$result = call_user_func( $config['delete'], $item_id );
@@ -431,6 +809,9 @@ class RestApi {
 		return new WP_REST_Response( [
 			'success' => true,
 			'message' => __( 'Deleted successfully.', 'arraypress' ),
+			'item_id' => $item_id,
+			'removed' => true,
+			'reload'  => ! empty( $config['reload'] ),
 		] );
 	}
 
@@ -514,6 +895,10 @@ class RestApi {
 	/**
 	 * Handle action button/menu callback.
 	 *
+	 * Callbacks may return an array to add to the response, including a
+	 * 'commands' list for the browser to run (see Command), or a Download
+	 * to send a file instead.
+	 *
 	 * @param WP_REST_Request $request Full request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
@@ -554,8 +939,16 @@ class RestApi {
 			return $result;
 		}
 
+		if ( $result instanceof Download ) {
+			return $result->to_response();
+		}
+
 		// Allow callbacks to return custom response data.
 		if ( is_array( $result ) ) {
+			if ( ! empty( $result['commands'] ) && is_array( $result['commands'] ) ) {
+				$result['commands'] = self::prepare_commands( $manager, $config, $item_id, $result['commands'] );
+			}
+
 			return new WP_REST_Response( array_merge( [ 'success' => true ], $result ) );
 		}
 
@@ -565,6 +958,345 @@ class RestApi {
 		] );
 	}
 
+	// =========================================================================
+	// ACTION COMMANDS
+	// =========================================================================
+
+	/**
+	 * Fill in server-side parts of action commands.
+	 *
+	 * replace_component commands without HTML get the field rendered with
+	 * the record as it is after the action. The record is loaded once, and
+	 * only when such a command is present.
+	 *
+	 * @param Manager    $manager  Manager instance.
+	 * @param array      $config   Flyout configuration.
+	 * @param int|string $item_id  Record ID.
+	 * @param array      $commands Commands returned by the callback.
+	 *
+	 * @return array
+	 */
+	private static function prepare_commands( Manager $manager, array $config, $item_id, array $commands ): array {
+		$data   = null;
+		$loaded = false;
+
+		foreach ( $commands as $index => $command ) {
+			if ( ! is_array( $command ) || ( $command['type'] ?? '' ) !== 'replace_component' || isset( $command['html'] ) ) {
+				continue;
+			}
+
+			if ( ! $loaded ) {
+				$data   = self::load_data( $config, $item_id );
+				$loaded = true;
+			}
+
+			if ( is_wp_error( $data ) ) {
+				unset( $commands[ $index ] );
+				continue;
+			}
+
+			$commands[ $index ]['html'] = $manager->render_field( $config, (string) ( $command['name'] ?? '' ), $data );
+		}
+
+		/**
+		 * Filter the commands an action response sends to the browser.
+		 *
+		 * @param array  $commands Commands to run, in order.
+		 * @param array  $config   Flyout configuration.
+		 * @param mixed  $item_id  Record ID.
+		 * @param string $prefix   Manager prefix.
+		 *
+		 * @since 7.1.0
+		 */
+		return array_values( (array) apply_filters( 'wp_flyout_action_commands', $commands, $config, $item_id, $manager->get_prefix() ) );
+	}
+
+	// =========================================================================
+	// DOWNLOADS
+	// =========================================================================
+
+	/**
+	 * Send a Download as the raw response body instead of JSON.
+	 *
+	 * Runs on rest_pre_serve_request, after the status and the headers
+	 * from Download::to_response() have been sent.
+	 *
+	 * @param bool  $served Whether the request has already been served.
+	 * @param mixed $result Response to send.
+	 *
+	 * @return bool
+	 */
+	public static function serve_download( $served, $result ): bool {
+		if ( $served || ! $result instanceof WP_REST_Response || ! $result->get_data() instanceof Download ) {
+			return (bool) $served;
+		}
+
+		$result->get_data()->send();
+
+		return true;
+	}
+
+	// =========================================================================
+	// DATA LOADING
+	// =========================================================================
+
+	/**
+	 * Call the flyout's load callback for a record.
+	 *
+	 * @param array      $config  Flyout configuration.
+	 * @param int|string $item_id Record ID.
+	 *
+	 * @return mixed|WP_Error Record data, null without a load callback, or an error.
+	 */
+	private static function load_data( array $config, $item_id ) {
+		$data = null;
+		if ( ! empty( $config['load'] ) && is_callable( $config['load'] ) ) {
+			$data = call_user_func( $config['load'], $item_id );
+		}
+
+		if ( $data === false ) {
+			return new WP_Error(
+				'flyout_load_failed',
+				__( 'Record not found.', 'arraypress' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return $data;
+	}
+
+	// =========================================================================
+	// RECORD LOCKS
+	// =========================================================================
+
+	/**
+	 * Check that no other user holds the edit lock on a record.
+	 *
+	 * @param Manager $manager   Manager instance.
+	 * @param array   $config    Flyout configuration.
+	 * @param string  $flyout_id Flyout identifier.
+	 * @param mixed   $item_id   Record ID.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function check_lock( Manager $manager, array $config, string $flyout_id, $item_id ) {
+		if ( ! Lock::is_enabled( $config, $item_id ) ) {
+			return true;
+		}
+
+		$holder = Lock::check( $manager->get_prefix(), $flyout_id, $item_id );
+
+		if ( ! $holder ) {
+			return true;
+		}
+
+		$state = Lock::get_state( $holder );
+
+		return new WP_Error(
+			'flyout_locked',
+			sprintf(
+				/* translators: %s: user display name */
+				__( '%s is currently editing this item.', 'arraypress' ),
+				$state['user']['name'] ?? __( 'Another user', 'arraypress' )
+			),
+			[ 'status' => 409, 'lock' => $state ]
+		);
+	}
+
+	// =========================================================================
+	// RECORD VERSIONS
+	// =========================================================================
+
+	/**
+	 * Whether saves of a record are checked against its version token.
+	 *
+	 * @param array $config  Flyout configuration.
+	 * @param mixed $item_id Record ID.
+	 *
+	 * @return bool
+	 */
+	private static function is_versioned( array $config, $item_id ): bool {
+		return ! empty( $item_id ) && ! empty( $config['save'] ) && is_callable( $config['save'] );
+	}
+
+	/**
+	 * Check that a record hasn't changed since the flyout loaded it.
+	 *
+	 * On a conflict, the error data carries the current version token, the
+	 * flyout rendered with the current data, and the field labels, so the
+	 * browser can show what changed.
+	 *
+	 * @param Manager $manager Manager instance.
+	 * @param array   $config  Flyout configuration.
+	 * @param mixed   $item_id Record ID.
+	 * @param string  $version Version token the flyout was loaded with.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function check_version( Manager $manager, array $config, $item_id, string $version ) {
+		if ( $version === '' || ! self::is_versioned( $config, $item_id ) ) {
+			return true;
+		}
+
+		$data = self::load_data( $config, $item_id );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$current = $manager->get_version( $config, $data, $item_id );
+
+		if ( hash_equals( $current, $version ) ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'flyout_conflict',
+			__( 'This item was changed by someone else after you opened it.', 'arraypress' ),
+			[
+				'status'  => 409,
+				'version' => $current,
+				'html'    => $manager->build_flyout( $config, $data, $item_id )->render(),
+				'labels'  => $manager->get_field_labels( $config ),
+			]
+		);
+	}
+
+	/**
+	 * Get the version tokens of several records, keyed by ID.
+	 *
+	 * Records that fail to load are left out and saved unchecked.
+	 *
+	 * @param Manager $manager  Manager instance.
+	 * @param array   $config   Flyout configuration.
+	 * @param array   $item_ids Record IDs.
+	 *
+	 * @return array
+	 */
+	private static function get_versions( Manager $manager, array $config, array $item_ids ): array {
+		$versions = [];
+
+		foreach ( $item_ids as $id ) {
+			if ( ! self::is_versioned( $config, $id ) ) {
+				continue;
+			}
+
+			$data = self::load_data( $config, $id );
+
+			if ( ! is_wp_error( $data ) ) {
+				$versions[ $id ] = $manager->get_version( $config, $data, $id );
+			}
+		}
+
+		return $versions;
+	}
+
+	// =========================================================================
+	// BULK EDITING
+	// =========================================================================
+
+	/**
+	 * Check that a flyout can bulk edit records.
+	 *
+	 * @param Manager $manager Manager instance.
+	 * @param array   $config  Flyout configuration.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function check_bulk_support( Manager $manager, array $config ) {
+		if ( empty( $config['save'] ) || ! is_callable( $config['save'] ) ) {
+			return new WP_Error(
+				'flyout_save_not_configured',
+				__( 'Save not configured for this flyout.', 'arraypress' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		if ( empty( $manager->get_bulk_fields( $config ) ) ) {
+			return new WP_Error(
+				'flyout_bulk_not_supported',
+				__( 'Bulk editing is not enabled for this flyout.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sanitize a list of record IDs, dropping empty and duplicate entries.
+	 *
+	 * @param mixed $item_ids Raw IDs from the request.
+	 *
+	 * @return array
+	 */
+	private static function sanitize_item_ids( $item_ids ): array {
+		$ids = array_map( function ( $id ) {
+			return is_scalar( $id ) ? sanitize_text_field( (string) $id ) : '';
+		}, (array) $item_ids );
+
+		return array_values( array_unique( array_filter( $ids, function ( $id ) {
+			return $id !== '' && $id !== '0';
+		} ) ) );
+	}
+
+	// =========================================================================
+	// LIST TABLE ROWS
+	// =========================================================================
+
+	/**
+	 * Render the list table row for a saved record.
+	 *
+	 * The row callback may either return the row HTML or echo it directly,
+	 * so WP_List_Table::single_row() can be passed through unchanged.
+	 *
+	 * @param array      $config Flyout configuration.
+	 * @param int|string $id     Record ID.
+	 *
+	 * @return string Row HTML or empty string if no row callback is configured.
+	 */
+	private static function render_row( array $config, $id ): string {
+		if ( empty( $config['row'] ) || ! is_callable( $config['row'] ) ) {
+			return '';
+		}
+
+		ob_start();
+		$returned = call_user_func( $config['row'], $id );
+		$echoed   = ob_get_clean();
+
+		if ( is_string( $returned ) && $returned !== '' ) {
+			return $returned;
+		}
+
+		return (string) $echoed;
+	}
+
+	// =========================================================================
+	// FIELD ERRORS
+	// =========================================================================
+
+	/**
+	 * Build a validation error carrying per-field messages.
+	 *
+	 * Keys are field names as they appear in the form, including nested
+	 * names such as files[2][url]. Nested arrays are also accepted and
+	 * are flattened by the client.
+	 *
+	 * @param array  $field_errors Map of field name => error message.
+	 * @param string $message      Optional summary message.
+	 *
+	 * @return WP_Error
+	 */
+	public static function field_errors( array $field_errors, string $message = '' ): WP_Error {
+		return new WP_Error(
+			'flyout_validation_failed',
+			$message ?: __( 'Please correct the highlighted fields.', 'arraypress' ),
+			[
+				'status'       => 422,
+				'field_errors' => $field_errors,
+			]
+		);
+	}
+
 	// =========================================================================
 	// FIELD & ACTION RESOLUTION
 	// =========================================================================